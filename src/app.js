@@ -9,8 +9,14 @@ const authRoutes = require('./routes/auth');
 const suggestionRoutes = require('./routes/suggestion');
 const suggestionTestRoutes = require('./routes/suggestion_test');
 const chatRoutes = require('./routes/chat');
+const checkinRoutes = require('./routes/checkin');
+const achievementRoutes = require('./routes/achievement');
+const adminRoutes = require('./routes/admin');
 const { errorHandler } = require('./middleware/errorHandler');
-const { authenticateToken } = require('./middleware/auth');
+const { authenticateToken, authenticateTokenOrApiKey } = require('./middleware/auth');
+const { schedulePurge } = require('./jobs/purgeAccounts');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { scheduleReminders } = require('./jobs/sendReminders');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -52,9 +58,12 @@ app.get('/health', (req, res) => {
 
 // Routes
 app.use('/api/auth', authRoutes);
-app.use('/api/suggestion', authenticateToken, suggestionRoutes);
+app.use('/api/suggestion', authenticateTokenOrApiKey, suggestionRoutes);
 app.use('/api/suggestion-test', suggestionTestRoutes); // No authentication required
-app.use('/api/chat', authenticateToken, chatRoutes);
+app.use('/api/chat', authenticateTokenOrApiKey, chatRoutes);
+app.use('/api/checkins', authenticateTokenOrApiKey, checkinRoutes);
+app.use('/api/achievements', authenticateTokenOrApiKey, achievementRoutes);
+app.use('/api/admin', authenticateToken, adminRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -74,4 +83,13 @@ app.listen(PORT, () => {
   console.log(`🔗 Health check: http://localhost:${PORT}/health`);
 });
 
+// Purge accounts whose deletion grace period has ended
+schedulePurge(parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES) || 60);
+
+// Purge topics that have been in the trash past the retention period
+scheduleTrashPurge(parseInt(process.env.TRASH_PURGE_INTERVAL_MINUTES) || 60);
+
+// Send topic reminders as they come due
+scheduleReminders(parseInt(process.env.REMINDER_POLL_INTERVAL_SECONDS) || 30);
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,108 @@
+// Achievements users can unlock. Each unlocks once, when its metric reaches
+// the threshold; it is checked after any of its events (see
+// services/achievementService for the metrics and where events come from).
+const ACHIEVEMENTS = [
+  {
+    key: 'first_topic',
+    title: '迈出第一步',
+    description: '记下第一件拖着没做的事',
+    category: 'topics',
+    metric: 'topics_created',
+    threshold: 1,
+    events: ['topic_created']
+  },
+  {
+    key: 'first_topic_resolved',
+    title: '搞定一件',
+    description: '第一次把主题标记为已解决',
+    category: 'topics',
+    metric: 'topics_resolved',
+    threshold: 1,
+    events: ['topic_resolved']
+  },
+  {
+    key: 'topics_resolved_10',
+    title: '清单杀手',
+    description: '累计解决 10 个主题',
+    category: 'topics',
+    metric: 'topics_resolved',
+    threshold: 10,
+    events: ['topic_resolved']
+  },
+  {
+    key: 'first_step_completed',
+    title: '动起来了',
+    description: '完成第一个小步骤',
+    category: 'steps',
+    metric: 'steps_completed',
+    threshold: 1,
+    events: ['step_completed']
+  },
+  {
+    key: 'steps_completed_50',
+    title: '积少成多',
+    description: '累计完成 50 个小步骤',
+    category: 'steps',
+    metric: 'steps_completed',
+    threshold: 50,
+    events: ['step_completed']
+  },
+  {
+    key: 'first_rating',
+    title: '说说感受',
+    description: '第一次给建议反馈',
+    category: 'feedback',
+    metric: 'suggestions_rated',
+    threshold: 1,
+    events: ['suggestion_rated']
+  },
+  {
+    key: 'suggestions_rated_20',
+    title: '资深评审',
+    description: '累计给 20 条建议反馈',
+    category: 'feedback',
+    metric: 'suggestions_rated',
+    threshold: 20,
+    events: ['suggestion_rated']
+  },
+  {
+    key: 'first_checkin',
+    title: '关照自己',
+    description: '完成第一次心情打卡',
+    category: 'checkins',
+    metric: 'checkins_recorded',
+    threshold: 1,
+    events: ['checkin_recorded']
+  },
+  {
+    key: 'checkin_streak_3',
+    title: '三天不断',
+    description: '连续 3 天心情打卡',
+    category: 'checkins',
+    metric: 'checkin_streak',
+    threshold: 3,
+    events: ['checkin_recorded']
+  },
+  {
+    key: 'checkin_streak_7',
+    title: '坚持一周',
+    description: '连续 7 天心情打卡',
+    category: 'checkins',
+    metric: 'checkin_streak',
+    threshold: 7,
+    events: ['checkin_recorded']
+  },
+  {
+    key: 'checkin_streak_30',
+    title: '月度坚持',
+    description: '连续 30 天心情打卡',
+    category: 'checkins',
+    metric: 'checkin_streak',
+    threshold: 30,
+    events: ['checkin_recorded']
+  }
+];
+
+module.exports = {
+  ACHIEVEMENTS
+};
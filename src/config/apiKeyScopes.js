@@ -0,0 +1,20 @@
+// Scopes an API key can be granted. Routes reachable with an API key
+// declare the scope they need with requireScope(); user JWTs are not
+// limited by scopes.
+const API_KEY_SCOPES = {
+  'suggestions:generate': 'Generate suggestions (POST /api/suggestion)',
+  'suggestions:read': 'Read topics, suggestion history and stats',
+  'suggestions:write': 'Update topics and leave suggestion feedback',
+  'chat:read': 'Read chat sessions and messages',
+  'chat:write': 'Start chat sessions and send messages',
+  'checkins:read': 'Read mood check-ins, their aggregates and topic severity history',
+  'checkins:write': 'Record and delete mood check-ins',
+  'achievements:read': 'Read achievements and check-in streaks'
+};
+
+const SCOPES = Object.keys(API_KEY_SCOPES);
+
+module.exports = {
+  API_KEY_SCOPES,
+  SCOPES
+};
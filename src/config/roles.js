@@ -0,0 +1,21 @@
+// Roles and the permissions they grant. '*' grants every permission.
+//
+// Known permissions:
+//   suggestions:test   - run the multi-topic test endpoint in /api/suggestion-test
+//   api_keys:manage    - create, list and revoke API keys in /api/admin
+//   experiments:manage - create, start, stop and report on prompt experiments in /api/admin
+//   users:manage       - change users' roles in /api/admin
+const ROLE_PERMISSIONS = {
+  user: [],
+  admin: ['*']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const permissionsForRole = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  permissionsForRole
+};
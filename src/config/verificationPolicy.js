@@ -0,0 +1,17 @@
+// What accounts with an unverified email may do.
+// Each entry caps an activity type (as logged in user_activity_log) per rolling
+// 24 hours: a number is the cap, 0 blocks the action, -1 leaves it unlimited.
+const parseLimit = (value, fallback) => {
+  const parsed = parseInt(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const unverifiedDailyLimits = {
+  suggestion_request: parseLimit(process.env.UNVERIFIED_SUGGESTION_DAILY_LIMIT, 5),
+  step_breakdown: parseLimit(process.env.UNVERIFIED_BREAKDOWN_DAILY_LIMIT, 5),
+  chat_start: parseLimit(process.env.UNVERIFIED_CHAT_DAILY_LIMIT, -1)
+};
+
+module.exports = {
+  unverifiedDailyLimits
+};
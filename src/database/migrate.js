@@ -2,6 +2,21 @@ const fs = require('fs').promises;
 const path = require('path');
 const { pool, testConnection } = require('../config/database');
 
+// Errors meaning an upgrade statement (ALTER TABLE ... ADD) was already
+// applied: the column, index or foreign key exists. Upgrades are kept in the
+// schema next to their table, so on a fresh database they always hit these.
+const ALREADY_APPLIED_ERRORS = ['ER_DUP_FIELDNAME', 'ER_DUP_KEYNAME', 'ER_FK_DUP_NAME'];
+
+// Split the schema into statements. Comment lines are removed first, so a
+// statement below a comment still runs and a `;` in a comment splits nothing.
+const splitStatements = (schema) => schema
+  .split('\n')
+  .filter(line => !line.trim().startsWith('--'))
+  .join('\n')
+  .split(';')
+  .map(stmt => stmt.trim())
+  .filter(stmt => stmt.length > 0);
+
 const runMigration = async () => {
   try {
     console.log('🔄 Starting database migration...');
@@ -17,10 +32,7 @@ const runMigration = async () => {
     const schema = await fs.readFile(schemaPath, 'utf8');
     
     // Split schema into individual statements
-    const statements = schema
-      .split(';')
-      .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+    const statements = splitStatements(schema);
 
     console.log(`📝 Found ${statements.length} SQL statements to execute`);
 
@@ -28,9 +40,15 @@ const runMigration = async () => {
     for (let i = 0; i < statements.length; i++) {
       const statement = statements[i];
       try {
-        await pool.execute(statement);
+        // Plain queries: USE and some DDL can't be prepared statements
+        await pool.query(statement);
         console.log(`✅ Statement ${i + 1}/${statements.length} executed successfully`);
       } catch (error) {
+        if (ALREADY_APPLIED_ERRORS.includes(error.code)) {
+          console.log(`⏭️ Statement ${i + 1}/${statements.length} already applied`);
+          continue;
+        }
+
         console.error(`❌ Error executing statement ${i + 1}:`, error.message);
         console.error('Statement:', statement);
         throw error;
@@ -52,4 +70,4 @@ if (require.main === module) {
   runMigration();
 }
 
-module.exports = { runMigration };
\ No newline at end of file
+module.exports = { runMigration, splitStatements };
\ No newline at end of file
@@ -9,10 +9,20 @@ USE warpbean;
 CREATE TABLE IF NOT EXISTS users (
     id INT PRIMARY KEY AUTO_INCREMENT,
     username VARCHAR(50) UNIQUE NOT NULL,
-    email VARCHAR(100) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
+    email VARCHAR(100) UNIQUE NULL,
+    email_verified_at TIMESTAMP NULL,
+    password_hash VARCHAR(255) NULL,
+    apple_sub VARCHAR(255) UNIQUE NULL,
+    role ENUM('user', 'admin') DEFAULT 'user',
+    is_guest BOOLEAN DEFAULT FALSE,
+    guest_device_id VARCHAR(100) UNIQUE NULL,
+    guest_secret_hash CHAR(64) NULL,
+    phone VARCHAR(20) UNIQUE NULL,
+    phone_verified_at TIMESTAMP NULL,
     full_name VARCHAR(100),
     avatar_url VARCHAR(255),
+    personalization_enabled BOOLEAN DEFAULT TRUE,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     last_login TIMESTAMP NULL,
@@ -22,22 +32,71 @@ CREATE TABLE IF NOT EXISTS users (
     INDEX idx_created_at (created_at)
 );
 
+-- Users columns added or changed since the first release, for existing
+-- databases. On a fresh database they are already in place: migrate.js skips
+-- the ADDs and the MODIFYs change nothing.
+ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP NULL AFTER email;
+ALTER TABLE users MODIFY email VARCHAR(100) NULL;
+ALTER TABLE users MODIFY password_hash VARCHAR(255) NULL;
+ALTER TABLE users ADD COLUMN apple_sub VARCHAR(255) UNIQUE NULL AFTER password_hash;
+ALTER TABLE users ADD COLUMN is_guest BOOLEAN DEFAULT FALSE;
+ALTER TABLE users ADD COLUMN guest_device_id VARCHAR(100) UNIQUE NULL;
+ALTER TABLE users ADD COLUMN guest_secret_hash CHAR(64) NULL;
+ALTER TABLE users ADD COLUMN role ENUM('user', 'admin') DEFAULT 'user';
+ALTER TABLE users ADD COLUMN phone VARCHAR(20) UNIQUE NULL;
+ALTER TABLE users ADD COLUMN phone_verified_at TIMESTAMP NULL;
+ALTER TABLE users ADD COLUMN personalization_enabled BOOLEAN DEFAULT TRUE;
+ALTER TABLE users ADD COLUMN timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
 -- Anxiety topics table
 CREATE TABLE IF NOT EXISTS anxiety_topics (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
     title VARCHAR(200) NOT NULL,
+    normalized_title VARCHAR(200) NULL,
     description TEXT,
     severity_level ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
     status ENUM('active', 'resolved', 'archived') DEFAULT 'active',
+    deleted_at TIMESTAMP NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     INDEX idx_user_id (user_id),
+    INDEX idx_user_normalized_title (user_id, normalized_title),
+    INDEX idx_user_deleted (user_id, deleted_at),
+    INDEX idx_deleted_at (deleted_at),
     INDEX idx_status (status),
     INDEX idx_created_at (created_at)
 );
 
+-- Topic columns and indexes added since the first release, for existing
+-- databases (on a fresh database they already exist and migrate.js skips them)
+ALTER TABLE anxiety_topics ADD COLUMN normalized_title VARCHAR(200) NULL AFTER title;
+ALTER TABLE anxiety_topics ADD INDEX idx_user_normalized_title (user_id, normalized_title);
+ALTER TABLE anxiety_topics ADD COLUMN deleted_at TIMESTAMP NULL;
+ALTER TABLE anxiety_topics ADD INDEX idx_user_deleted (user_id, deleted_at);
+ALTER TABLE anxiety_topics ADD INDEX idx_deleted_at (deleted_at);
+
+-- Suggestion generation batches: one LLM call and the persona, prompt
+-- version, model, temperature and token usage behind it
+CREATE TABLE IF NOT EXISTS suggestion_batches (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    topic_id INT NOT NULL,
+    user_id INT NOT NULL,
+    personality VARCHAR(50) NOT NULL,
+    persona_version INT NOT NULL,
+    model VARCHAR(100) NOT NULL,
+    temperature DECIMAL(3, 2) NOT NULL,
+    prompt_tokens INT NULL,
+    completion_tokens INT NULL,
+    total_tokens INT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (topic_id) REFERENCES anxiety_topics(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_persona (user_id, personality, persona_version),
+    INDEX idx_model (model)
+);
+
 -- Anxiety suggestions table
 CREATE TABLE IF NOT EXISTS anxiety_suggestions (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -47,13 +106,141 @@ CREATE TABLE IF NOT EXISTS anxiety_suggestions (
     suggestion_type ENUM('immediate', 'short_term', 'long_term', 'professional') DEFAULT 'immediate',
     is_helpful BOOLEAN NULL,
     helpful_rating INT CHECK (helpful_rating >= 1 AND helpful_rating <= 5),
+    batch_id INT NULL,
+    output_type VARCHAR(100) NULL,
+    novelty_score DECIMAL(4,3) NULL,
+    favorited_at TIMESTAMP NULL,
+    deleted_at TIMESTAMP NULL,
+    experiment_id INT NULL,
+    experiment_variant VARCHAR(50) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     FOREIGN KEY (topic_id) REFERENCES anxiety_topics(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    CONSTRAINT fk_suggestions_batch FOREIGN KEY (batch_id) REFERENCES suggestion_batches(id) ON DELETE SET NULL,
     INDEX idx_topic_id (topic_id),
     INDEX idx_user_id (user_id),
-    INDEX idx_created_at (created_at)
+    INDEX idx_created_at (created_at),
+    INDEX idx_batch_id (batch_id),
+    INDEX idx_experiment (experiment_id, experiment_variant),
+    INDEX idx_user_favorited (user_id, favorited_at)
+);
+
+-- Suggestion columns and indexes added since the first release, for existing
+-- databases (on a fresh database they already exist and migrate.js skips them)
+ALTER TABLE anxiety_suggestions ADD COLUMN experiment_id INT NULL;
+ALTER TABLE anxiety_suggestions ADD COLUMN experiment_variant VARCHAR(50) NULL;
+ALTER TABLE anxiety_suggestions ADD INDEX idx_experiment (experiment_id, experiment_variant);
+ALTER TABLE anxiety_suggestions ADD COLUMN batch_id INT NULL;
+ALTER TABLE anxiety_suggestions ADD COLUMN output_type VARCHAR(100) NULL;
+ALTER TABLE anxiety_suggestions ADD INDEX idx_batch_id (batch_id);
+ALTER TABLE anxiety_suggestions ADD CONSTRAINT fk_suggestions_batch FOREIGN KEY (batch_id) REFERENCES suggestion_batches(id) ON DELETE SET NULL;
+ALTER TABLE anxiety_suggestions ADD COLUMN novelty_score DECIMAL(4,3) NULL;
+ALTER TABLE anxiety_suggestions ADD COLUMN favorited_at TIMESTAMP NULL;
+ALTER TABLE anxiety_suggestions ADD INDEX idx_user_favorited (user_id, favorited_at);
+ALTER TABLE anxiety_suggestions ADD COLUMN deleted_at TIMESTAMP NULL;
+
+-- User-defined named collections of saved suggestions
+CREATE TABLE IF NOT EXISTS suggestion_collections (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_user_collection_name (user_id, name)
+);
+
+-- Suggestions in a collection (user_id is kept for ownership checks and purging)
+CREATE TABLE IF NOT EXISTS suggestion_collection_items (
+    collection_id INT NOT NULL,
+    suggestion_id INT NOT NULL,
+    user_id INT NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, suggestion_id),
+    FOREIGN KEY (collection_id) REFERENCES suggestion_collections(id) ON DELETE CASCADE,
+    FOREIGN KEY (suggestion_id) REFERENCES anxiety_suggestions(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_suggestion_id (suggestion_id),
+    INDEX idx_user_id (user_id)
+);
+
+-- Micro-step checklist of a topic, in order. personality/persona_version
+-- record the persona whose voice a generated step was written in.
+CREATE TABLE IF NOT EXISTS topic_steps (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    topic_id INT NOT NULL,
+    user_id INT NOT NULL,
+    position INT NOT NULL,
+    step_text VARCHAR(255) NOT NULL,
+    personality VARCHAR(50) NULL,
+    persona_version INT NULL,
+    completed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (topic_id) REFERENCES anxiety_topics(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_topic_position (topic_id, position),
+    INDEX idx_user_id (user_id)
+);
+
+-- Topic revisit reminders. next_run_at is when the reminder is next due.
+-- claimed_by/claimed_until lease a due reminder to one server instance while
+-- it is being sent.
+CREATE TABLE IF NOT EXISTS topic_reminders (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    topic_id INT NOT NULL,
+    schedule_type ENUM('once', 'daily', 'weekdays', 'custom') NOT NULL,
+    run_at TIMESTAMP NULL,
+    time_of_day CHAR(5) NULL,
+    cron_expression VARCHAR(100) NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    message VARCHAR(200) NULL,
+    is_enabled BOOLEAN DEFAULT TRUE,
+    next_run_at TIMESTAMP NULL,
+    last_sent_at TIMESTAMP NULL,
+    failure_count INT DEFAULT 0,
+    last_error VARCHAR(255) NULL,
+    claimed_by VARCHAR(100) NULL,
+    claimed_until TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (topic_id) REFERENCES anxiety_topics(id) ON DELETE CASCADE,
+    INDEX idx_topic_id (topic_id),
+    INDEX idx_user_id (user_id),
+    INDEX idx_due (is_enabled, next_run_at),
+    INDEX idx_claimed_by (claimed_by)
+);
+
+-- Mood and anxiety check-ins. A check-in may be linked to a topic, and the
+-- topic's severity history is derived from its linked check-ins.
+CREATE TABLE IF NOT EXISTS mood_checkins (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    topic_id INT NULL,
+    mood_score TINYINT NOT NULL,
+    anxiety_level TINYINT NOT NULL,
+    note VARCHAR(1000) NULL,
+    tags JSON NULL,
+    recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (topic_id) REFERENCES anxiety_topics(id) ON DELETE SET NULL,
+    INDEX idx_user_recorded (user_id, recorded_at),
+    INDEX idx_topic_recorded (topic_id, recorded_at)
+);
+
+-- Achievements unlocked by users (each at most once)
+CREATE TABLE IF NOT EXISTS user_achievements (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    achievement_key VARCHAR(50) NOT NULL,
+    unlocked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_user_achievement (user_id, achievement_key)
 );
 
 -- Chat sessions table
@@ -95,7 +282,7 @@ CREATE TABLE IF NOT EXISTS chat_messages (
 CREATE TABLE IF NOT EXISTS user_activity_log (
     id INT PRIMARY KEY AUTO_INCREMENT,
     user_id INT NOT NULL,
-    activity_type ENUM('login', 'logout', 'suggestion_request', 'chat_start', 'chat_end') NOT NULL,
+    activity_type ENUM('login', 'logout', 'suggestion_request', 'chat_start', 'chat_end', 'account_locked', 'step_breakdown') NOT NULL,
     details JSON NULL,
     ip_address VARCHAR(45),
     user_agent TEXT,
@@ -106,6 +293,10 @@ CREATE TABLE IF NOT EXISTS user_activity_log (
     INDEX idx_created_at (created_at)
 );
 
+-- Activity types added since the first release, for existing databases. The
+-- list must match the one above.
+ALTER TABLE user_activity_log MODIFY activity_type ENUM('login', 'logout', 'suggestion_request', 'chat_start', 'chat_end', 'account_locked', 'step_breakdown') NOT NULL;
+
 -- API usage tracking table
 CREATE TABLE IF NOT EXISTS api_usage (
     id INT PRIMARY KEY AUTO_INCREMENT,
@@ -123,6 +314,192 @@ CREATE TABLE IF NOT EXISTS api_usage (
     INDEX idx_created_at (created_at)
 );
 
+-- Refresh tokens table (rotated on every use, grouped into families per login)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    family_id CHAR(36) NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    replaced_by_id INT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    revoke_reason VARCHAR(32) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_family_id (family_id),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Device sessions table (one row per login, linked to a refresh token family).
+-- login_at is when the user signed in; sessions created on refresh for token
+-- families older than this table have none
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    family_id CHAR(36) UNIQUE NOT NULL,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    app_version VARCHAR(32),
+    login_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP NULL,
+    revoked_at TIMESTAMP NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_last_seen_at (last_seen_at)
+);
+
+-- Password reset codes table (hashed, single-use, expiring)
+CREATE TABLE IF NOT EXISTS password_resets (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    attempts INT DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_expires_at (expires_at)
+);
+
+-- Email verification tokens table
+CREATE TABLE IF NOT EXISTS email_verifications (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    email VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_created_at (created_at)
+);
+
+-- Account deletion requests. No foreign key on purpose: after the purge the
+-- completed row remains as the tombstone for the deleted user.
+CREATE TABLE IF NOT EXISTS account_deletions (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    status ENUM('pending', 'processing', 'cancelled', 'completed') DEFAULT 'pending',
+    reason VARCHAR(500) NULL,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    scheduled_for TIMESTAMP NOT NULL,
+    cancelled_at TIMESTAMP NULL,
+    completed_at TIMESTAMP NULL,
+    purge_summary JSON NULL,
+    INDEX idx_user_id (user_id),
+    INDEX idx_status_scheduled (status, scheduled_for)
+);
+
+-- Failed login counters per username / IP (used by the login throttle)
+CREATE TABLE IF NOT EXISTS login_attempts (
+    attempt_key VARCHAR(191) PRIMARY KEY,
+    failures INT NOT NULL DEFAULT 0,
+    first_failure_at TIMESTAMP NULL,
+    last_failure_at TIMESTAMP NULL,
+    locked_until TIMESTAMP NULL,
+    INDEX idx_locked_until (locked_until)
+);
+
+-- TOTP two-factor enrollment (secret encrypted with AES-256-GCM)
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INT PRIMARY KEY,
+    secret_encrypted VARCHAR(255) NOT NULL,
+    enabled_at TIMESTAMP NULL,
+    last_used_step BIGINT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Two-factor one-time recovery codes (hashed)
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_code (user_id, code_hash)
+);
+
+-- SMS one-time codes for phone login and phone verification (hashed).
+-- Login requests for unregistered numbers are recorded with no user (and no
+-- SMS sent) so they count towards the same per-number limits
+CREATE TABLE IF NOT EXISTS phone_otps (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NULL,
+    phone VARCHAR(20) NOT NULL,
+    purpose ENUM('login', 'verify') NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    attempts INT DEFAULT 0,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_phone_created (phone, created_at)
+);
+
+-- API keys for server-to-server and partner access (hashed). A key acts
+-- as its owner, limited to its scopes.
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    user_id INT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) UNIQUE NOT NULL,
+    scopes JSON NOT NULL,
+    created_by INT NULL,
+    expires_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    last_used_ip VARCHAR(45) NULL,
+    revoked_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_user_id (user_id)
+);
+
+-- Prompt experiments: users are bucketed into weighted variants, each
+-- pinned to a version of one persona
+CREATE TABLE IF NOT EXISTS prompt_experiments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(500) NULL,
+    personality VARCHAR(50) NOT NULL,
+    variants JSON NOT NULL,
+    status ENUM('draft', 'running', 'stopped') DEFAULT 'draft',
+    created_by INT NULL,
+    started_at TIMESTAMP NULL,
+    stopped_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+    INDEX idx_personality_status (personality, status)
+);
+
+-- Sticky experiment assignments (one variant per user per experiment)
+CREATE TABLE IF NOT EXISTS experiment_assignments (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    experiment_id INT NOT NULL,
+    user_id INT NOT NULL,
+    variant_key VARCHAR(50) NOT NULL,
+    assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (experiment_id) REFERENCES prompt_experiments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE KEY uniq_experiment_user (experiment_id, user_id)
+);
+
 -- Insert default admin user (password: admin123)
-INSERT IGNORE INTO users (username, email, password_hash, full_name, is_active) VALUES 
-('admin', 'admin@warpbean.com', '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'System Administrator', TRUE);
\ No newline at end of file
+INSERT IGNORE INTO users (username, email, email_verified_at, password_hash, full_name, role, is_active) VALUES 
+('admin', 'admin@warpbean.com', CURRENT_TIMESTAMP, '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', 'System Administrator', 'admin', TRUE);
+
+-- Databases created before roles existed already have the admin user (as a
+-- plain user): promote it, but only while there is no admin at all
+UPDATE users
+JOIN (SELECT COUNT(*) as admins FROM users WHERE role = 'admin') existing ON existing.admins = 0
+SET users.role = 'admin'
+WHERE users.username = 'admin';
\ No newline at end of file
@@ -0,0 +1,59 @@
+require('dotenv').config();
+const AccountDeletion = require('../models/AccountDeletion');
+
+// Purge every account whose deletion grace period has ended
+const purgeDueAccounts = async () => {
+  const dueDeletions = await AccountDeletion.findDue();
+  let purged = 0;
+
+  for (const deletion of dueDeletions) {
+    // Skip if cancelled meanwhile or claimed by another instance
+    if (!(await deletion.claim())) {
+      continue;
+    }
+
+    try {
+      const summary = await deletion.purge();
+      purged++;
+      console.log(`🗑️ Purged account ${deletion.user_id}:`, summary);
+    } catch (error) {
+      console.error(`❌ Failed to purge account ${deletion.user_id}:`, error.message);
+      await deletion.release();
+    }
+  }
+
+  return purged;
+};
+
+// Run the purge periodically inside the server process
+const schedulePurge = (intervalMinutes) => {
+  const timer = setInterval(() => {
+    purgeDueAccounts().catch(error => {
+      console.error('Account purge job error:', error.message);
+    });
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+// Run once if this file is executed directly
+if (require.main === module) {
+  const { pool } = require('../config/database');
+
+  purgeDueAccounts()
+    .then(count => {
+      console.log(`🎉 Purged ${count} account(s)`);
+    })
+    .catch(error => {
+      console.error('💥 Account purge failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool && pool.end());
+}
+
+module.exports = {
+  purgeDueAccounts,
+  schedulePurge
+};
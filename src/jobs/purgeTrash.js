@@ -0,0 +1,57 @@
+require('dotenv').config();
+const AnxietyTopic = require('../models/AnxietyTopic');
+
+// Permanently delete topics that have been in the trash past the retention period
+const purgeExpiredTrash = async () => {
+  const expiredTopics = await AnxietyTopic.findExpiredTrash();
+  let purged = 0;
+
+  for (const topic of expiredTopics) {
+    try {
+      if (await topic.purge()) {
+        purged++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to purge topic ${topic.id}:`, error.message);
+    }
+  }
+
+  if (purged > 0) {
+    console.log(`🗑️ Purged ${purged} topic(s) from the trash`);
+  }
+
+  return purged;
+};
+
+// Run the purge periodically inside the server process
+const scheduleTrashPurge = (intervalMinutes) => {
+  const timer = setInterval(() => {
+    purgeExpiredTrash().catch(error => {
+      console.error('Trash purge job error:', error.message);
+    });
+  }, intervalMinutes * 60 * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+// Run once if this file is executed directly
+if (require.main === module) {
+  const { pool } = require('../config/database');
+
+  purgeExpiredTrash()
+    .then(count => {
+      console.log(`🎉 Purged ${count} topic(s)`);
+    })
+    .catch(error => {
+      console.error('💥 Trash purge failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool && pool.end());
+}
+
+module.exports = {
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,106 @@
+require('dotenv').config();
+const crypto = require('crypto');
+const os = require('os');
+const TopicReminder = require('../models/TopicReminder');
+const AnxietyTopic = require('../models/AnxietyTopic');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+
+// Identifies this process in reminder claims
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`.slice(0, 80);
+// Reminders claimed per run
+const BATCH_SIZE = parseInt(process.env.REMINDER_BATCH_SIZE || '50', 10);
+// How long a claim lasts; a failed send is retried once it runs out
+const CLAIM_SECONDS = parseInt(process.env.REMINDER_CLAIM_SECONDS || '120', 10);
+// Failed sends of one run before it is skipped
+const MAX_ATTEMPTS = parseInt(process.env.REMINDER_MAX_ATTEMPTS || '3', 10);
+
+// Send one claimed reminder. Reminders of topics that are in the trash or no
+// longer active, or of deactivated users, are moved on without being sent.
+const sendReminder = async (reminder, claimToken) => {
+  const [topic, user] = await Promise.all([
+    AnxietyTopic.findById(reminder.topic_id),
+    User.findById(reminder.user_id)
+  ]);
+
+  if (!topic || !user || topic.isTrashed() || topic.status !== 'active') {
+    await reminder.reschedule(claimToken, { sent: false });
+    return false;
+  }
+
+  await notificationService.sendTopicReminder(reminder, topic);
+  return await reminder.reschedule(claimToken, { sent: true });
+};
+
+// Claim the reminders that are due and send them
+const sendDueReminders = async () => {
+  const claimToken = `${INSTANCE_ID}:${crypto.randomBytes(6).toString('hex')}`;
+  const reminders = await TopicReminder.claimDue(claimToken, {
+    limit: BATCH_SIZE,
+    leaseSeconds: CLAIM_SECONDS
+  });
+  let sent = 0;
+
+  for (const reminder of reminders) {
+    try {
+      if (await sendReminder(reminder, claimToken)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`❌ Failed to send reminder ${reminder.id}:`, error.message);
+      await reminder.recordFailure(claimToken, error, MAX_ATTEMPTS).catch(recordError => {
+        console.error(`Failed to record reminder ${reminder.id} failure:`, recordError.message);
+      });
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`🔔 Sent ${sent} topic reminder(s)`);
+  }
+
+  return sent;
+};
+
+// Poll for due reminders inside the server process. Runs never overlap: a
+// tick is skipped while the previous run is still going.
+const scheduleReminders = (intervalSeconds) => {
+  let running = false;
+
+  const timer = setInterval(() => {
+    if (running) {
+      return;
+    }
+    running = true;
+    sendDueReminders()
+      .catch(error => {
+        console.error('Reminder job error:', error.message);
+      })
+      .finally(() => {
+        running = false;
+      });
+  }, intervalSeconds * 1000);
+
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+// Run once if this file is executed directly
+if (require.main === module) {
+  const { pool } = require('../config/database');
+
+  sendDueReminders()
+    .then(count => {
+      console.log(`🎉 Sent ${count} reminder(s)`);
+    })
+    .catch(error => {
+      console.error('💥 Reminder run failed:', error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool && pool.end());
+}
+
+module.exports = {
+  sendDueReminders,
+  scheduleReminders
+};
@@ -1,19 +1,105 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const UserSession = require('../models/UserSession');
+const ApiKey = require('../models/ApiKey');
 
-// Generate JWT token
-const generateToken = (user) => {
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate short-lived JWT access token bound to a refresh token family
+const generateToken = (user, familyId) => {
   const payload = {
     id: user.id,
     username: user.username,
-    email: user.email
+    email: user.email,
+    role: user.role,
+    permissions: user.getPermissions(),
+    fid: familyId,
+    type: 'access'
   };
   
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
   });
 };
 
+// Issue an access/refresh token pair. Pass an existing familyId when rotating.
+const issueTokens = async (user, familyId = crypto.randomUUID()) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const record = await RefreshToken.create({
+    user_id: user.id,
+    family_id: familyId,
+    token_hash: hashToken(refreshToken),
+    expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  const accessToken = generateToken(user, familyId);
+  const { exp, iat } = jwt.decode(accessToken);
+
+  return {
+    token: accessToken,
+    refresh_token: refreshToken,
+    expires_in: exp - iat,
+    family_id: familyId,
+    refresh_token_id: record.id
+  };
+};
+
+// Client details recorded on device sessions
+const getClientDetails = (req) => ({
+  user_agent: req.headers['user-agent'],
+  ip_address: req.ip,
+  app_version: req.headers['x-app-version'] || (req.body && req.body.app_version)
+});
+
+// Start a device session for a fresh login and issue its first token pair
+const startSession = async (user, req) => {
+  const familyId = crypto.randomUUID();
+  const session = await UserSession.create({
+    user_id: user.id,
+    family_id: familyId,
+    login_at: new Date(),
+    ...getClientDetails(req)
+  });
+
+  const tokens = await issueTokens(user, familyId);
+  return { ...tokens, session_id: session.id };
+};
+
+// Shape the token pair for API responses
+const tokenResponse = (tokens) => ({
+  token: tokens.token,
+  refresh_token: tokens.refresh_token,
+  expires_in: tokens.expires_in
+});
+
+// Verify an access token and load its user. Returns null if the token's
+// device session was revoked (logout, reuse detection) or the user is gone.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (decoded.type !== 'access' || !decoded.fid) {
+    return null;
+  }
+
+  const session = await UserSession.findByFamilyId(decoded.fid);
+  if (!session || session.isRevoked()) {
+    return null;
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    return null;
+  }
+
+  return { user, decoded, session };
+};
+
 // Verify JWT token middleware
 const authenticateToken = async (req, res, next) => {
   try {
@@ -27,20 +113,24 @@ const authenticateToken = async (req, res, next) => {
       });
     }
     
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Get user from database
-    const user = await User.findById(decoded.id);
-    if (!user) {
+    // Verify token and check it hasn't been revoked
+    const verified = await verifyAccessToken(token);
+    if (!verified) {
       return res.status(401).json({
         error: 'Access denied',
-        message: 'Invalid token - user not found'
+        message: 'Invalid token - session revoked or user not found'
       });
     }
     
-    // Add user to request object
-    req.user = user;
+    await verified.session.touch(getClientDetails(req));
+    
+    // Add user and session details to request object
+    req.user = verified.user;
+    req.auth = {
+      family_id: verified.decoded.fid,
+      session_id: verified.session.id,
+      login_at: verified.session.login_at
+    };
     next();
     
   } catch (error) {
@@ -66,6 +156,49 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// Accept either a user JWT (Authorization: Bearer) or an API key
+// (X-API-Key). A key acts as its owner; routes limit keys with requireScope().
+const authenticateTokenOrApiKey = async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const key = await ApiKey.findByHash(hashToken(apiKey));
+    if (!key || key.isRevoked() || key.isExpired()) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid API key - unknown, revoked or expired'
+      });
+    }
+
+    const user = await User.findById(key.user_id);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid API key - owner not found'
+      });
+    }
+
+    await key.touch(req.ip);
+
+    req.user = user;
+    req.apiKey = key;
+    req.auth = {
+      api_key_id: key.id
+    };
+    next();
+
+  } catch (error) {
+    console.error('API key auth error:', error);
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Authentication failed'
+    });
+  }
+};
+
 // Optional authentication middleware (doesn't fail if no token)
 const optionalAuth = async (req, res, next) => {
   try {
@@ -73,10 +206,14 @@ const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1];
     
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      if (user) {
-        req.user = user;
+      const verified = await verifyAccessToken(token);
+      if (verified) {
+        req.user = verified.user;
+        req.auth = {
+          family_id: verified.decoded.fid,
+          session_id: verified.session.id,
+          login_at: verified.session.login_at
+        };
       }
     }
     
@@ -87,24 +224,80 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Refresh token
+// Rotate a refresh token. Presenting an already-rotated token revokes the
+// whole family, since either the client or an attacker holds a stale copy.
 const refreshToken = async (req, res) => {
   try {
-    const { user } = req;
+    const { refresh_token } = req.body;
+    
+    if (!refresh_token) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'No refresh token provided'
+      });
+    }
     
+    const stored = await RefreshToken.findByHash(hashToken(refresh_token));
+    if (!stored) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Invalid refresh token'
+      });
+    }
+    
+    if (stored.isRevoked()) {
+      if (stored.wasRotated()) {
+        await UserSession.revokeByFamilyId(stored.family_id, 'reuse_detected');
+        console.warn(`Refresh token reuse detected for user ${stored.user_id}, family ${stored.family_id} revoked`);
+      }
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Refresh token has been revoked'
+      });
+    }
+    
+    if (stored.isExpired()) {
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Refresh token expired'
+      });
+    }
+    
+    const user = await User.findById(stored.user_id);
     if (!user) {
       return res.status(401).json({
         error: 'Access denied',
-        message: 'User not authenticated'
+        message: 'User not found'
+      });
+    }
+    
+    // Lost the race against a concurrent refresh with the same token
+    if (!(await stored.markRotated())) {
+      await UserSession.revokeByFamilyId(stored.family_id, 'reuse_detected');
+      return res.status(401).json({
+        error: 'Access denied',
+        message: 'Refresh token has been revoked'
       });
     }
     
-    // Generate new token
-    const newToken = generateToken(user);
+    const tokens = await issueTokens(user, stored.family_id);
+    await stored.setReplacedBy(tokens.refresh_token_id);
+    
+    // Families issued before device sessions existed get one on first refresh
+    const session = await UserSession.findByFamilyId(stored.family_id);
+    if (session) {
+      await session.touch(getClientDetails(req));
+    } else {
+      await UserSession.create({
+        user_id: user.id,
+        family_id: stored.family_id,
+        ...getClientDetails(req)
+      });
+    }
     
     res.json({
       success: true,
-      token: newToken,
+      ...tokenResponse(tokens),
       user: user.toPublicJSON()
     });
     
@@ -118,8 +311,13 @@ const refreshToken = async (req, res) => {
 };
 
 module.exports = {
+  hashToken,
   generateToken,
+  issueTokens,
+  startSession,
+  tokenResponse,
   authenticateToken,
+  authenticateTokenOrApiKey,
   optionalAuth,
   refreshToken
 };
\ No newline at end of file
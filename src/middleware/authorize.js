@@ -0,0 +1,73 @@
+// Authorization middleware. Use after authenticateToken (or
+// authenticateTokenOrApiKey); the role is read from the database-backed
+// req.user so demotions apply immediately.
+
+// Allow only users with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'User not authenticated'
+    });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Requires role: ${roles.join(' or ')}`
+    });
+  }
+
+  next();
+};
+
+// Allow only users whose role grants every given permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'User not authenticated'
+    });
+  }
+
+  const missing = permissions.filter(permission => !req.user.hasPermission(permission));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Missing permission: ${missing.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+// Limit API key requests to keys granted every given scope (see
+// config/apiKeyScopes.js). Requests made with a user JWT aren't scoped.
+const requireScope = (...scopes) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: 'Access denied',
+      message: 'User not authenticated'
+    });
+  }
+
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const missing = scopes.filter(scope => !req.apiKey.hasScope(scope));
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `API key is missing scope: ${missing.join(', ')}`
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission,
+  requireScope
+};
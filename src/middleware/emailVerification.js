@@ -0,0 +1,52 @@
+const UserActivityLog = require('../models/UserActivityLog');
+const { unverifiedDailyLimits } = require('../config/verificationPolicy');
+
+// Reject unverified accounts outright
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user && req.user.isEmailVerified()) {
+    return next();
+  }
+
+  return res.status(403).json({
+    error: 'Email verification required',
+    message: 'Please verify your email address to use this feature'
+  });
+};
+
+// Apply the unverified-account cap for an activity type (see config/verificationPolicy.js).
+// The route is responsible for logging the activity once it succeeds.
+const limitUnverified = (activityType) => async (req, res, next) => {
+  try {
+    if (!req.user || req.user.isEmailVerified()) {
+      return next();
+    }
+
+    const limit = unverifiedDailyLimits[activityType];
+    if (limit === undefined || limit < 0) {
+      return next();
+    }
+
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const used = limit === 0 ? 0 : await UserActivityLog.countSince(req.user.id, activityType, since);
+
+    if (limit === 0 || used >= limit) {
+      return res.status(403).json({
+        error: 'Email verification required',
+        message: limit === 0
+          ? 'Please verify your email address to use this feature'
+          : `Unverified accounts are limited to ${limit} requests per day. Please verify your email address.`,
+        limit,
+        used
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  requireVerifiedEmail,
+  limitUnverified
+};
@@ -0,0 +1,177 @@
+const { executeQuery, getConnection } = require('../config/database');
+
+// Tables holding a user's personal data, purged children first
+const USER_DATA_TABLES = [
+  'chat_messages',
+  'chat_sessions',
+  'suggestion_collection_items',
+  'suggestion_collections',
+  'anxiety_suggestions',
+  'suggestion_batches',
+  'topic_reminders',
+  'topic_steps',
+  'mood_checkins',
+  'anxiety_topics',
+  'user_achievements',
+  'user_activity_log',
+  'api_usage',
+  'email_verifications',
+  'password_resets',
+  'phone_otps',
+  'refresh_tokens',
+  'user_sessions',
+  'two_factor_recovery_codes',
+  'user_two_factor',
+  'api_keys',
+  'experiment_assignments'
+];
+
+// An account deletion request. Once completed the row stays behind as the
+// tombstone: it keeps only the user id, timestamps and purge counts.
+class AccountDeletion {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.status = data.status;
+    this.reason = data.reason;
+    this.requested_at = data.requested_at;
+    this.scheduled_for = data.scheduled_for;
+    this.cancelled_at = data.cancelled_at;
+    this.completed_at = data.completed_at;
+    this.purge_summary = data.purge_summary
+      ? (typeof data.purge_summary === 'string' ? JSON.parse(data.purge_summary) : data.purge_summary)
+      : null;
+  }
+
+  // Schedule a deletion
+  static async create(deletionData) {
+    const { user_id, scheduled_for, reason } = deletionData;
+
+    const query = `
+      INSERT INTO account_deletions (user_id, status, reason, scheduled_for)
+      VALUES (?, 'pending', ?, ?)
+    `;
+
+    const result = await executeQuery(query, [user_id, reason || null, scheduled_for]);
+
+    return await AccountDeletion.findById(result.insertId);
+  }
+
+  // Find deletion by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM account_deletions WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new AccountDeletion(results[0]);
+  }
+
+  // Find a user's pending deletion, if any
+  static async findPendingByUserId(userId) {
+    const query = `
+      SELECT * FROM account_deletions
+      WHERE user_id = ? AND status = 'pending'
+      ORDER BY requested_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new AccountDeletion(results[0]);
+  }
+
+  // Find deletions whose grace period is over
+  static async findDue(limit = 50) {
+    const query = `
+      SELECT * FROM account_deletions
+      WHERE status = 'pending' AND scheduled_for <= NOW()
+      ORDER BY scheduled_for ASC
+      LIMIT ?
+    `;
+    const results = await executeQuery(query, [limit]);
+
+    return results.map(row => new AccountDeletion(row));
+  }
+
+  // Cancel during the grace period
+  async cancel() {
+    const query = `
+      UPDATE account_deletions SET status = 'cancelled', cancelled_at = NOW()
+      WHERE id = ? AND status = 'pending'
+    `;
+    const result = await executeQuery(query, [this.id]);
+    return result.affectedRows === 1;
+  }
+
+  // Claim this deletion for purging. Returns false if it was cancelled or
+  // another instance already claimed it.
+  async claim() {
+    const query = `
+      UPDATE account_deletions SET status = 'processing'
+      WHERE id = ? AND status = 'pending'
+    `;
+    const result = await executeQuery(query, [this.id]);
+    return result.affectedRows === 1;
+  }
+
+  // Put a claimed deletion back after a failed purge so it's retried
+  async release() {
+    const query = `UPDATE account_deletions SET status = 'pending' WHERE id = ? AND status = 'processing'`;
+    await executeQuery(query, [this.id]);
+  }
+
+  // Hard-delete every row belonging to the user, then the user itself,
+  // in one transaction, and turn this row into the tombstone
+  async purge() {
+    const connection = await getConnection();
+    const summary = {};
+
+    try {
+      await connection.beginTransaction();
+
+      for (const table of USER_DATA_TABLES) {
+        const [result] = await connection.execute(`DELETE FROM ${table} WHERE user_id = ?`, [this.user_id]);
+        summary[table] = result.affectedRows;
+      }
+
+      const [userResult] = await connection.execute('DELETE FROM users WHERE id = ?', [this.user_id]);
+      summary.users = userResult.affectedRows;
+
+      await connection.execute(
+        `UPDATE account_deletions SET status = 'completed', completed_at = NOW(), purge_summary = ? WHERE id = ?`,
+        [JSON.stringify(summary), this.id]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    this.status = 'completed';
+    this.purge_summary = summary;
+    return summary;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      status: this.status,
+      requested_at: this.requested_at,
+      scheduled_for: this.scheduled_for,
+      cancelled_at: this.cancelled_at,
+      completed_at: this.completed_at
+    };
+  }
+}
+
+module.exports = AccountDeletion;
@@ -1,5 +1,54 @@
 const { executeQuery } = require('../config/database');
 
+const SUGGESTION_TYPES = ['immediate', 'short_term', 'long_term', 'professional'];
+
+// Suggestions are read together with the generation batch they came from
+const SELECT_WITH_BATCH = `
+  SELECT 
+    s.*,
+    b.personality,
+    b.persona_version,
+    b.model,
+    b.temperature,
+    b.prompt_tokens,
+    b.completion_tokens,
+    b.total_tokens
+  FROM anxiety_suggestions s
+  LEFT JOIN suggestion_batches b ON s.batch_id = b.id
+`;
+
+// The same, with the title and state of the suggestion's topic
+const SELECT_WITH_TOPIC = `
+  SELECT 
+    s.*,
+    t.title as topic_title,
+    t.severity_level as topic_severity,
+    t.status as topic_status,
+    b.personality,
+    b.persona_version,
+    b.model,
+    b.temperature,
+    b.prompt_tokens,
+    b.completion_tokens,
+    b.total_tokens
+  FROM anxiety_suggestions s
+  JOIN anxiety_topics t ON s.topic_id = t.id
+  LEFT JOIN suggestion_batches b ON s.batch_id = b.id
+`;
+
+const withTopicInfo = (row) => {
+  const suggestion = new AnxietySuggestion(row);
+  suggestion.topic_title = row.topic_title;
+  suggestion.topic_severity = row.topic_severity;
+  suggestion.topic_status = row.topic_status;
+  return suggestion;
+};
+
+// Feedback counts as positive when rated 4-5 (or marked helpful without a
+// rating) and negative when rated 1-2 (or marked not helpful without one)
+const POSITIVE_FEEDBACK = '(s.helpful_rating >= 4 OR (s.helpful_rating IS NULL AND s.is_helpful = TRUE))';
+const NEGATIVE_FEEDBACK = '(s.helpful_rating <= 2 OR (s.helpful_rating IS NULL AND s.is_helpful = FALSE))';
+
 class AnxietySuggestion {
   constructor(data) {
     this.id = data.id;
@@ -9,20 +58,42 @@ class AnxietySuggestion {
     this.suggestion_type = data.suggestion_type;
     this.is_helpful = data.is_helpful;
     this.helpful_rating = data.helpful_rating;
+    this.batch_id = data.batch_id;
+    this.output_type = data.output_type;
+    this.novelty_score = data.novelty_score !== null && data.novelty_score !== undefined ? Number(data.novelty_score) : null;
+    this.favorited_at = data.favorited_at || null;
+    // Set while the suggestion's topic is in the trash
+    this.deleted_at = data.deleted_at || null;
+    this.personality = data.personality;
+    this.persona_version = data.persona_version;
+    this.model = data.model;
+    this.temperature = data.temperature !== null && data.temperature !== undefined ? Number(data.temperature) : null;
+    this.prompt_tokens = data.prompt_tokens;
+    this.completion_tokens = data.completion_tokens;
+    this.total_tokens = data.total_tokens;
+    this.experiment_id = data.experiment_id;
+    this.experiment_variant = data.experiment_variant;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
 
   // Create a new suggestion
   static async create(suggestionData) {
-    const { topic_id, user_id, suggestion_text, suggestion_type = 'immediate' } = suggestionData;
+    const { topic_id, user_id, suggestion_text, suggestion_type = 'immediate', batch_id, output_type } = suggestionData;
     
     const query = `
-      INSERT INTO anxiety_suggestions (topic_id, user_id, suggestion_text, suggestion_type)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO anxiety_suggestions (topic_id, user_id, suggestion_text, suggestion_type, batch_id, output_type)
+      VALUES (?, ?, ?, ?, ?, ?)
     `;
     
-    const result = await executeQuery(query, [topic_id, user_id, suggestion_text, suggestion_type]);
+    const result = await executeQuery(query, [
+      topic_id,
+      user_id,
+      suggestion_text,
+      suggestion_type,
+      batch_id || null,
+      output_type || null
+    ]);
     
     return await AnxietySuggestion.findById(result.insertId);
   }
@@ -34,7 +105,8 @@ class AnxietySuggestion {
     }
 
     const query = `
-      INSERT INTO anxiety_suggestions (topic_id, user_id, suggestion_text, suggestion_type)
+      INSERT INTO anxiety_suggestions
+        (topic_id, user_id, suggestion_text, suggestion_type, batch_id, output_type, novelty_score, experiment_id, experiment_variant)
       VALUES ?
     `;
     
@@ -42,7 +114,12 @@ class AnxietySuggestion {
       s.topic_id,
       s.user_id,
       s.suggestion_text,
-      s.suggestion_type || 'immediate'
+      s.suggestion_type || 'immediate',
+      s.batch_id || null,
+      s.output_type || null,
+      s.novelty_score ?? null,
+      s.experiment_id || null,
+      s.experiment_variant || null
     ]);
     
     const result = await executeQuery(query, [values]);
@@ -61,7 +138,7 @@ class AnxietySuggestion {
 
   // Find suggestion by ID
   static async findById(id) {
-    const query = 'SELECT * FROM anxiety_suggestions WHERE id = ?';
+    const query = `${SELECT_WITH_BATCH} WHERE s.id = ?`;
     const results = await executeQuery(query, [id]);
     
     if (results.length === 0) {
@@ -75,15 +152,15 @@ class AnxietySuggestion {
   static async findByTopicId(topicId, options = {}) {
     const { limit = 50, offset = 0, type } = options;
     
-    let query = 'SELECT * FROM anxiety_suggestions WHERE topic_id = ?';
+    let query = `${SELECT_WITH_BATCH} WHERE s.topic_id = ?`;
     let params = [topicId];
     
     if (type) {
-      query += ' AND suggestion_type = ?';
+      query += ' AND s.suggestion_type = ?';
       params.push(type);
     }
     
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    query += ' ORDER BY s.created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
     
     const results = await executeQuery(query, params);
@@ -95,15 +172,15 @@ class AnxietySuggestion {
   static async findByUserId(userId, options = {}) {
     const { limit = 50, offset = 0, type } = options;
     
-    let query = 'SELECT * FROM anxiety_suggestions WHERE user_id = ?';
+    let query = `${SELECT_WITH_BATCH} WHERE s.user_id = ? AND s.deleted_at IS NULL`;
     let params = [userId];
     
     if (type) {
-      query += ' AND suggestion_type = ?';
+      query += ' AND s.suggestion_type = ?';
       params.push(type);
     }
     
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    query += ' ORDER BY s.created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
     
     const results = await executeQuery(query, params);
@@ -139,30 +216,147 @@ class AnxietySuggestion {
     return await AnxietySuggestion.findById(this.id);
   }
 
-  // Get suggestions with topic information
-  static async findWithTopicInfo(userId, options = {}) {
-    const { limit = 50, offset = 0 } = options;
+  // A user's liked ('positive') or disliked ('negative') suggestions, the
+  // most strongly rated first
+  static async findByFeedback(userId, sentiment, options = {}) {
+    const { limit = 3 } = options;
+    const positive = sentiment === 'positive';
+    
+    const query = `
+      ${SELECT_WITH_BATCH}
+      WHERE s.user_id = ? AND s.deleted_at IS NULL AND ${positive ? POSITIVE_FEEDBACK : NEGATIVE_FEEDBACK}
+      ORDER BY ${positive ? 'COALESCE(s.helpful_rating, 4) DESC' : 'COALESCE(s.helpful_rating, 2) ASC'}, s.updated_at DESC
+      LIMIT ?
+    `;
     
+    const results = await executeQuery(query, [userId, limit]);
+    
+    return results.map(row => new AnxietySuggestion(row));
+  }
+
+  // Positive and negative feedback per persona, with the average length of
+  // the liked suggestions
+  static async getFeedbackByPersonality(userId) {
     const query = `
       SELECT 
-        as.*,
-        at.title as topic_title,
-        at.severity_level as topic_severity
-      FROM anxiety_suggestions as
-      JOIN anxiety_topics at ON as.topic_id = at.id
-      WHERE as.user_id = ?
-      ORDER BY as.created_at DESC
-      LIMIT ? OFFSET ?
+        b.personality,
+        COUNT(CASE WHEN ${POSITIVE_FEEDBACK} THEN 1 END) as positive,
+        COUNT(CASE WHEN ${NEGATIVE_FEEDBACK} THEN 1 END) as negative,
+        AVG(CASE WHEN ${POSITIVE_FEEDBACK} THEN CHAR_LENGTH(s.suggestion_text) END) as positive_avg_length
+      FROM anxiety_suggestions s
+      JOIN suggestion_batches b ON s.batch_id = b.id
+      WHERE s.user_id = ? AND s.deleted_at IS NULL
+      GROUP BY b.personality
     `;
     
-    const results = await executeQuery(query, [userId, limit, offset]);
+    const results = await executeQuery(query, [userId]);
+    
+    return results.map(row => ({
+      personality: row.personality,
+      positive: Number(row.positive),
+      negative: Number(row.negative),
+      positive_avg_length: row.positive_avg_length !== null ? Number(row.positive_avg_length) : null
+    }));
+  }
+
+  // Get suggestions with topic information, optionally filtered by type,
+  // by how they were generated, to favorites or to a collection
+  static async findWithTopicInfo(userId, options = {}) {
+    const {
+      limit = 50,
+      offset = 0,
+      type,
+      personality,
+      persona_version,
+      model,
+      batch_id,
+      favorites_only = false,
+      collection_id
+    } = options;
+    
+    let query = `${SELECT_WITH_TOPIC} WHERE s.user_id = ? AND s.deleted_at IS NULL`;
+    const params = [userId];
+    
+    if (type) {
+      query += ' AND s.suggestion_type = ?';
+      params.push(type);
+    }
+    
+    if (personality) {
+      query += ' AND b.personality = ?';
+      params.push(personality);
+    }
+    
+    if (persona_version) {
+      query += ' AND b.persona_version = ?';
+      params.push(persona_version);
+    }
+    
+    if (model) {
+      query += ' AND b.model = ?';
+      params.push(model);
+    }
+    
+    if (batch_id) {
+      query += ' AND s.batch_id = ?';
+      params.push(batch_id);
+    }
+    
+    if (favorites_only) {
+      query += ' AND s.favorited_at IS NOT NULL';
+    }
+    
+    if (collection_id) {
+      query += ' AND s.id IN (SELECT suggestion_id FROM suggestion_collection_items WHERE collection_id = ?)';
+      params.push(collection_id);
+    }
+    
+    query += favorites_only
+      ? ' ORDER BY s.favorited_at DESC, s.id DESC LIMIT ? OFFSET ?'
+      : ' ORDER BY s.created_at DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+    
+    const results = await executeQuery(query, params);
+    
+    return results.map(withTopicInfo);
+  }
+
+  // A random favorite (optionally from one collection), or null
+  static async findRandomFavorite(userId, options = {}) {
+    const { collection_id } = options;
+    
+    let query = `${SELECT_WITH_TOPIC} WHERE s.user_id = ? AND s.favorited_at IS NOT NULL AND s.deleted_at IS NULL`;
+    const params = [userId];
+    
+    if (collection_id) {
+      query += ' AND s.id IN (SELECT suggestion_id FROM suggestion_collection_items WHERE collection_id = ?)';
+      params.push(collection_id);
+    }
+    
+    query += ' ORDER BY RAND() LIMIT 1';
+    
+    const results = await executeQuery(query, params);
+    
+    return results.length > 0 ? withTopicInfo(results[0]) : null;
+  }
+
+  // Every suggestion of a user, oldest first (for data exports)
+  static async findAllByUserId(userId) {
+    const query = `${SELECT_WITH_TOPIC} WHERE s.user_id = ? ORDER BY s.created_at ASC, s.id ASC`;
+    const results = await executeQuery(query, [userId]);
+    
+    return results.map(withTopicInfo);
+  }
+
+  // Mark or unmark as favorite. Favoriting again keeps the original time.
+  async setFavorite(favorite) {
+    const query = favorite
+      ? 'UPDATE anxiety_suggestions SET favorited_at = COALESCE(favorited_at, CURRENT_TIMESTAMP) WHERE id = ?'
+      : 'UPDATE anxiety_suggestions SET favorited_at = NULL WHERE id = ?';
     
-    return results.map(row => {
-      const suggestion = new AnxietySuggestion(row);
-      suggestion.topic_title = row.topic_title;
-      suggestion.topic_severity = row.topic_severity;
-      return suggestion;
-    });
+    await executeQuery(query, [this.id]);
+    
+    return await AnxietySuggestion.findById(this.id);
   }
 
   // Get suggestion statistics for a user
@@ -172,19 +366,40 @@ class AnxietySuggestion {
         COUNT(*) as total_suggestions,
         COUNT(CASE WHEN is_helpful = TRUE THEN 1 END) as helpful_suggestions,
         COUNT(CASE WHEN is_helpful = FALSE THEN 1 END) as not_helpful_suggestions,
+        COUNT(CASE WHEN is_helpful IS NOT NULL OR helpful_rating IS NOT NULL THEN 1 END) as rated_suggestions,
         AVG(helpful_rating) as average_rating,
         COUNT(CASE WHEN suggestion_type = 'immediate' THEN 1 END) as immediate_suggestions,
         COUNT(CASE WHEN suggestion_type = 'short_term' THEN 1 END) as short_term_suggestions,
         COUNT(CASE WHEN suggestion_type = 'long_term' THEN 1 END) as long_term_suggestions,
         COUNT(CASE WHEN suggestion_type = 'professional' THEN 1 END) as professional_suggestions
       FROM anxiety_suggestions 
-      WHERE user_id = ?
+      WHERE user_id = ? AND deleted_at IS NULL
     `;
     
     const results = await executeQuery(query, [userId]);
     return results[0];
   }
 
+  // Feedback per variant of an experiment
+  static async getExperimentStats(experimentId) {
+    const query = `
+      SELECT 
+        experiment_variant,
+        COUNT(*) as suggestions,
+        COUNT(DISTINCT user_id) as users,
+        COUNT(is_helpful) as helpful_responses,
+        COUNT(CASE WHEN is_helpful = TRUE THEN 1 END) as helpful_count,
+        COUNT(helpful_rating) as rating_count,
+        AVG(helpful_rating) as rating_mean,
+        STDDEV_SAMP(helpful_rating) as rating_stddev
+      FROM anxiety_suggestions
+      WHERE experiment_id = ?
+      GROUP BY experiment_variant
+    `;
+    
+    return await executeQuery(query, [experimentId]);
+  }
+
   // Convert to JSON
   toJSON() {
     return {
@@ -195,12 +410,29 @@ class AnxietySuggestion {
       suggestion_type: this.suggestion_type,
       is_helpful: this.is_helpful,
       helpful_rating: this.helpful_rating,
+      output_type: this.output_type,
+      novelty_score: this.novelty_score,
+      is_favorite: !!this.favorited_at,
+      favorited_at: this.favorited_at,
+      ...(this.deleted_at && { deleted_at: this.deleted_at }),
+      batch_id: this.batch_id,
+      personality: this.personality || null,
+      persona_version: this.persona_version || null,
+      model: this.model || null,
+      temperature: this.temperature,
+      batch_usage: this.batch_id ? {
+        prompt_tokens: this.prompt_tokens,
+        completion_tokens: this.completion_tokens,
+        total_tokens: this.total_tokens
+      } : null,
       created_at: this.created_at,
       updated_at: this.updated_at,
       ...(this.topic_title && { topic_title: this.topic_title }),
-      ...(this.topic_severity && { topic_severity: this.topic_severity })
+      ...(this.topic_severity && { topic_severity: this.topic_severity }),
+      ...(this.topic_status && { topic_status: this.topic_status })
     };
   }
 }
 
-module.exports = AnxietySuggestion;
\ No newline at end of file
+module.exports = AnxietySuggestion;
+module.exports.SUGGESTION_TYPES = SUGGESTION_TYPES;
\ No newline at end of file
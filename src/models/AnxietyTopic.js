@@ -1,4 +1,24 @@
-const { executeQuery } = require('../config/database');
+const { executeQuery, getConnection } = require('../config/database');
+const { foldText } = require('../utils/similarity');
+
+// Days a deleted topic stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = parseInt(process.env.TOPIC_TRASH_RETENTION_DAYS || '30', 10);
+
+// Status each bulk action sets (delete moves to the trash instead)
+const BULK_ACTIONS = {
+  archive: 'archived',
+  resolve: 'resolved',
+  delete: null
+};
+
+const placeholders = (ids) => ids.map(() => '?').join(', ');
+
+// Topic columns plus micro-step checklist progress
+const SELECT_WITH_PROGRESS = `
+  SELECT anxiety_topics.*,
+    (SELECT COUNT(*) FROM topic_steps WHERE topic_steps.topic_id = anxiety_topics.id) as steps_total,
+    (SELECT COUNT(completed_at) FROM topic_steps WHERE topic_steps.topic_id = anxiety_topics.id) as steps_completed
+  FROM anxiety_topics`;
 
 class AnxietyTopic {
   constructor(data) {
@@ -8,6 +28,9 @@ class AnxietyTopic {
     this.description = data.description;
     this.severity_level = data.severity_level;
     this.status = data.status;
+    this.deleted_at = data.deleted_at || null;
+    this.steps_total = data.steps_total !== undefined ? Number(data.steps_total) : undefined;
+    this.steps_completed = data.steps_completed !== undefined ? Number(data.steps_completed) : undefined;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -17,18 +40,24 @@ class AnxietyTopic {
     const { user_id, title, description, severity_level = 'medium' } = topicData;
     
     const query = `
-      INSERT INTO anxiety_topics (user_id, title, description, severity_level)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO anxiety_topics (user_id, title, normalized_title, description, severity_level)
+      VALUES (?, ?, ?, ?, ?)
     `;
     
-    const result = await executeQuery(query, [user_id, title, description, severity_level]);
+    const result = await executeQuery(query, [
+      user_id,
+      title,
+      AnxietyTopic.normalizeTitle(title),
+      description || null,
+      severity_level
+    ]);
     
     return await AnxietyTopic.findById(result.insertId);
   }
 
   // Find topic by ID
   static async findById(id) {
-    const query = 'SELECT * FROM anxiety_topics WHERE id = ?';
+    const query = `${SELECT_WITH_PROGRESS} WHERE id = ?`;
     const results = await executeQuery(query, [id]);
     
     if (results.length === 0) {
@@ -38,11 +67,40 @@ class AnxietyTopic {
     return new AnxietyTopic(results[0]);
   }
 
-  // Find topics by user ID
+  // Key for recognising the same task asked again: width-folded, lowercased,
+  // with whitespace, punctuation and emoji removed
+  static normalizeTitle(title) {
+    return foldText(title).slice(0, 200);
+  }
+
+  // The user's most recently updated active topic with the same normalized title
+  static async findActiveByTitle(userId, title) {
+    const normalizedTitle = AnxietyTopic.normalizeTitle(title);
+    if (!normalizedTitle) {
+      return null;
+    }
+
+    const query = `
+      ${SELECT_WITH_PROGRESS}
+      WHERE user_id = ? AND normalized_title = ? AND status = 'active' AND deleted_at IS NULL
+      ORDER BY updated_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [userId, normalizedTitle]);
+    
+    if (results.length === 0) {
+      return null;
+    }
+    
+    return new AnxietyTopic(results[0]);
+  }
+
+  // Find topics by user ID. Topics in the trash are only listed with
+  // `trashed: true`, most recently deleted first.
   static async findByUserId(userId, options = {}) {
-    const { status, limit = 50, offset = 0 } = options;
+    const { status, trashed = false, limit = 50, offset = 0 } = options;
     
-    let query = 'SELECT * FROM anxiety_topics WHERE user_id = ?';
+    let query = `${SELECT_WITH_PROGRESS} WHERE user_id = ? AND deleted_at IS ${trashed ? 'NOT NULL' : 'NULL'}`;
     let params = [userId];
     
     if (status) {
@@ -50,7 +108,9 @@ class AnxietyTopic {
       params.push(status);
     }
     
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+    query += trashed
+      ? ' ORDER BY deleted_at DESC LIMIT ? OFFSET ?'
+      : ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
     params.push(limit, offset);
     
     const results = await executeQuery(query, params);
@@ -58,6 +118,14 @@ class AnxietyTopic {
     return results.map(row => new AnxietyTopic(row));
   }
 
+  // Every topic of a user, oldest first (for data exports)
+  static async findAllByUserId(userId) {
+    const query = `${SELECT_WITH_PROGRESS} WHERE user_id = ? ORDER BY created_at ASC, id ASC`;
+    const results = await executeQuery(query, [userId]);
+    
+    return results.map(row => new AnxietyTopic(row));
+  }
+
   // Update topic
   async update(updateData) {
     const allowedFields = ['title', 'description', 'severity_level', 'status'];
@@ -75,6 +143,11 @@ class AnxietyTopic {
       return this;
     }
     
+    if (updateData.title !== undefined) {
+      updates.push('normalized_title = ?');
+      values.push(AnxietyTopic.normalizeTitle(updateData.title));
+    }
+    
     values.push(this.id);
     const query = `UPDATE anxiety_topics SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
     
@@ -88,6 +161,142 @@ class AnxietyTopic {
     return await this.update({ status: 'archived' });
   }
 
+  // Checklist progress, or null if the topic was loaded without it
+  progress() {
+    if (this.steps_total === undefined) {
+      return null;
+    }
+    return {
+      total_steps: this.steps_total,
+      completed_steps: this.steps_completed,
+      percent: this.steps_total > 0 ? Math.round(this.steps_completed / this.steps_total * 100) : 0
+    };
+  }
+
+  // Every step is done (and there is at least one)
+  isChecklistComplete() {
+    return this.steps_total > 0 && this.steps_completed === this.steps_total;
+  }
+
+  isTrashed() {
+    return !!this.deleted_at;
+  }
+
+  // When a trashed topic will be purged
+  purgeAt() {
+    if (!this.deleted_at) {
+      return null;
+    }
+    return new Date(new Date(this.deleted_at).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  // Move to the trash together with its suggestions
+  async trash() {
+    await AnxietyTopic.applyBulkAction(this.user_id, [this.id], 'delete');
+    return await AnxietyTopic.findById(this.id);
+  }
+
+  // Take out of the trash together with its suggestions
+  async restore() {
+    const connection = await getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      
+      await connection.execute(
+        'UPDATE anxiety_topics SET deleted_at = NULL WHERE id = ? AND deleted_at IS NOT NULL',
+        [this.id]
+      );
+      await connection.execute(
+        'UPDATE anxiety_suggestions SET deleted_at = NULL WHERE topic_id = ?',
+        [this.id]
+      );
+      
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+    
+    return await AnxietyTopic.findById(this.id);
+  }
+
+  // Delete for good; suggestions, batches and collection entries cascade
+  async purge() {
+    const result = await executeQuery('DELETE FROM anxiety_topics WHERE id = ?', [this.id]);
+    return result.affectedRows === 1;
+  }
+
+  // Archive, resolve or trash (`delete`) several of a user's topics in one
+  // transaction. Nothing changes unless every id is one of the user's topics
+  // outside the trash. Returns { updated, missing_ids }.
+  static async applyBulkAction(userId, ids, action) {
+    if (!(action in BULK_ACTIONS)) {
+      throw new Error(`Unknown bulk action: ${action}`);
+    }
+    
+    const topicIds = [...new Set(ids)];
+    const connection = await getConnection();
+    
+    try {
+      await connection.beginTransaction();
+      
+      const [rows] = await connection.execute(
+        `SELECT id FROM anxiety_topics
+         WHERE user_id = ? AND deleted_at IS NULL AND id IN (${placeholders(topicIds)})
+         FOR UPDATE`,
+        [userId, ...topicIds]
+      );
+      
+      const found = new Set(rows.map(row => row.id));
+      const missingIds = topicIds.filter(id => !found.has(id));
+      if (missingIds.length > 0) {
+        await connection.rollback();
+        return { updated: 0, missing_ids: missingIds };
+      }
+      
+      let result;
+      if (action === 'delete') {
+        [result] = await connection.execute(
+          `UPDATE anxiety_topics SET deleted_at = NOW() WHERE id IN (${placeholders(topicIds)})`,
+          topicIds
+        );
+        await connection.execute(
+          `UPDATE anxiety_suggestions SET deleted_at = NOW() WHERE topic_id IN (${placeholders(topicIds)})`,
+          topicIds
+        );
+      } else {
+        [result] = await connection.execute(
+          `UPDATE anxiety_topics SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders(topicIds)})`,
+          [BULK_ACTIONS[action], ...topicIds]
+        );
+      }
+      
+      await connection.commit();
+      return { updated: result.affectedRows, missing_ids: [] };
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Trashed topics past the retention period
+  static async findExpiredTrash(limit = 100) {
+    const query = `
+      SELECT * FROM anxiety_topics
+      WHERE deleted_at IS NOT NULL AND deleted_at <= DATE_SUB(NOW(), INTERVAL ? DAY)
+      ORDER BY deleted_at ASC
+      LIMIT ?
+    `;
+    const results = await executeQuery(query, [TRASH_RETENTION_DAYS, limit]);
+    
+    return results.map(row => new AnxietyTopic(row));
+  }
+
   // Get topic with suggestions count
   async getWithSuggestionsCount() {
     const query = `
@@ -106,7 +315,7 @@ class AnxietyTopic {
       return null;
     }
     
-    const topicData = { ...results[0] };
+    const topicData = { ...results[0], steps_total: this.steps_total, steps_completed: this.steps_completed };
     delete topicData.suggestions_count;
     
     const topic = new AnxietyTopic(topicData);
@@ -124,7 +333,7 @@ class AnxietyTopic {
         COUNT(CASE WHEN status = 'resolved' THEN 1 END) as resolved_topics,
         COUNT(CASE WHEN severity_level = 'high' OR severity_level = 'critical' THEN 1 END) as high_severity_topics
       FROM anxiety_topics 
-      WHERE user_id = ?
+      WHERE user_id = ? AND deleted_at IS NULL
     `;
     
     const results = await executeQuery(query, [userId]);
@@ -140,6 +349,8 @@ class AnxietyTopic {
       description: this.description,
       severity_level: this.severity_level,
       status: this.status,
+      ...(this.deleted_at && { deleted_at: this.deleted_at, purge_at: this.purgeAt() }),
+      ...(this.steps_total !== undefined && { progress: this.progress() }),
       created_at: this.created_at,
       updated_at: this.updated_at,
       ...(this.suggestions_count !== undefined && { suggestions_count: this.suggestions_count })
@@ -147,4 +358,6 @@ class AnxietyTopic {
   }
 }
 
-module.exports = AnxietyTopic;
\ No newline at end of file
+module.exports = AnxietyTopic;
+module.exports.BULK_ACTIONS = Object.keys(BULK_ACTIONS);
+module.exports.TRASH_RETENTION_DAYS = TRASH_RETENTION_DAYS;
\ No newline at end of file
@@ -0,0 +1,141 @@
+const { executeQuery } = require('../config/database');
+
+// How often last_used_at is written for a busy key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// A named API key acting as its owner (user_id), limited to its scopes.
+// Only the SHA-256 hash of the key is stored; key_prefix identifies it in lists.
+class ApiKey {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.key_prefix = data.key_prefix;
+    this.key_hash = data.key_hash;
+    this.scopes = data.scopes ? (typeof data.scopes === 'string' ? JSON.parse(data.scopes) : data.scopes) : [];
+    this.created_by = data.created_by;
+    this.expires_at = data.expires_at;
+    this.last_used_at = data.last_used_at;
+    this.last_used_ip = data.last_used_ip;
+    this.revoked_at = data.revoked_at;
+    this.created_at = data.created_at;
+  }
+
+  // Store a new key
+  static async create(keyData) {
+    const { user_id, name, key_prefix, key_hash, scopes, created_by, expires_at } = keyData;
+
+    const query = `
+      INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, created_by, expires_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [
+      user_id,
+      name,
+      key_prefix,
+      key_hash,
+      JSON.stringify(scopes),
+      created_by || null,
+      expires_at || null
+    ]);
+
+    return await ApiKey.findById(result.insertId);
+  }
+
+  // Find key by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM api_keys WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new ApiKey(results[0]);
+  }
+
+  // Find key by its SHA-256 hash
+  static async findByHash(keyHash) {
+    const query = 'SELECT * FROM api_keys WHERE key_hash = ?';
+    const results = await executeQuery(query, [keyHash]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new ApiKey(results[0]);
+  }
+
+  // List keys, newest first, optionally for one owner
+  static async findAll(options = {}) {
+    const { user_id, include_revoked = false } = options;
+    const conditions = [];
+    const params = [];
+
+    if (user_id) {
+      conditions.push('user_id = ?');
+      params.push(user_id);
+    }
+
+    if (!include_revoked) {
+      conditions.push('revoked_at IS NULL');
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const results = await executeQuery(`SELECT * FROM api_keys ${where} ORDER BY created_at DESC`, params);
+    return results.map(row => new ApiKey(row));
+  }
+
+  isRevoked() {
+    return this.revoked_at !== null && this.revoked_at !== undefined;
+  }
+
+  isExpired() {
+    return !!this.expires_at && new Date(this.expires_at).getTime() <= Date.now();
+  }
+
+  hasScope(scope) {
+    return this.scopes.includes(scope);
+  }
+
+  // Revoke the key. Returns false if it was already revoked.
+  async revoke() {
+    const query = 'UPDATE api_keys SET revoked_at = NOW() WHERE id = ? AND revoked_at IS NULL';
+    const result = await executeQuery(query, [this.id]);
+    this.revoked_at = this.revoked_at || new Date();
+    return result.affectedRows === 1;
+  }
+
+  // Record use of the key (throttled)
+  async touch(ipAddress) {
+    const lastUsed = this.last_used_at ? new Date(this.last_used_at).getTime() : 0;
+    if (ipAddress === this.last_used_ip && Date.now() - lastUsed < LAST_USED_RESOLUTION_MS) {
+      return;
+    }
+
+    const query = 'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?';
+    await executeQuery(query, [ipAddress || null, this.id]);
+    this.last_used_at = new Date();
+    this.last_used_ip = ipAddress;
+  }
+
+  // Public view (never includes the hash)
+  toJSON() {
+    return {
+      id: this.id,
+      user_id: this.user_id,
+      name: this.name,
+      key_prefix: this.key_prefix,
+      scopes: this.scopes,
+      created_by: this.created_by,
+      expires_at: this.expires_at,
+      last_used_at: this.last_used_at,
+      last_used_ip: this.last_used_ip,
+      revoked_at: this.revoked_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = ApiKey;
@@ -0,0 +1,87 @@
+const { executeQuery } = require('../config/database');
+
+class EmailVerification {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.email = data.email;
+    this.token_hash = data.token_hash;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Create a verification token for the user's current email
+  static async create(verificationData) {
+    const { user_id, email, token_hash, expires_at } = verificationData;
+
+    const query = `
+      INSERT INTO email_verifications (user_id, email, token_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [user_id, email, token_hash, expires_at]);
+
+    return await EmailVerification.findById(result.insertId);
+  }
+
+  // Find verification by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM email_verifications WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new EmailVerification(results[0]);
+  }
+
+  // Find an unused, unexpired verification by token hash
+  static async findActiveByHash(tokenHash) {
+    const query = `
+      SELECT * FROM email_verifications
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+    `;
+    const results = await executeQuery(query, [tokenHash]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new EmailVerification(results[0]);
+  }
+
+  // Most recent verification sent to a user (for resend throttling)
+  static async findLatestByUserId(userId) {
+    const query = `
+      SELECT * FROM email_verifications
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new EmailVerification(results[0]);
+  }
+
+  // Count verifications sent to a user since a point in time
+  static async countSince(userId, since) {
+    const query = 'SELECT COUNT(*) as count FROM email_verifications WHERE user_id = ? AND created_at >= ?';
+    const results = await executeQuery(query, [userId, since]);
+    return results[0].count;
+  }
+
+  // Consume the token. Returns false if it was already used concurrently.
+  async markUsed() {
+    const query = 'UPDATE email_verifications SET used_at = NOW() WHERE id = ? AND used_at IS NULL';
+    const result = await executeQuery(query, [this.id]);
+    return result.affectedRows === 1;
+  }
+}
+
+module.exports = EmailVerification;
@@ -0,0 +1,52 @@
+const { executeQuery } = require('../config/database');
+
+// The variant a user was bucketed into for an experiment. Assignments are
+// kept, so a user stays in the same variant even if the weights change.
+class ExperimentAssignment {
+  constructor(data) {
+    this.id = data.id;
+    this.experiment_id = data.experiment_id;
+    this.user_id = data.user_id;
+    this.variant_key = data.variant_key;
+    this.assigned_at = data.assigned_at;
+  }
+
+  // Find a user's assignment for an experiment
+  static async find(experimentId, userId) {
+    const query = 'SELECT * FROM experiment_assignments WHERE experiment_id = ? AND user_id = ?';
+    const results = await executeQuery(query, [experimentId, userId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new ExperimentAssignment(results[0]);
+  }
+
+  // Assign a user unless they already are. Returns the stored assignment,
+  // which is the earlier one if two requests raced.
+  static async assign(experimentId, userId, variantKey) {
+    const query = `
+      INSERT IGNORE INTO experiment_assignments (experiment_id, user_id, variant_key)
+      VALUES (?, ?, ?)
+    `;
+    await executeQuery(query, [experimentId, userId, variantKey]);
+
+    return await ExperimentAssignment.find(experimentId, userId);
+  }
+
+  // Number of users per variant: { variant_key: count }
+  static async countByVariant(experimentId) {
+    const query = `
+      SELECT variant_key, COUNT(*) as users
+      FROM experiment_assignments
+      WHERE experiment_id = ?
+      GROUP BY variant_key
+    `;
+    const results = await executeQuery(query, [experimentId]);
+
+    return Object.fromEntries(results.map(row => [row.variant_key, row.users]));
+  }
+}
+
+module.exports = ExperimentAssignment;
@@ -0,0 +1,55 @@
+const { executeQuery } = require('../config/database');
+
+// Failed login counters, keyed by username or IP address
+class LoginAttempt {
+  constructor(data) {
+    this.attempt_key = data.attempt_key;
+    this.failures = data.failures || 0;
+    this.first_failure_at = data.first_failure_at;
+    this.last_failure_at = data.last_failure_at;
+    this.locked_until = data.locked_until;
+  }
+
+  // Find counters by key (e.g. "username:alice", "ip:203.0.113.8")
+  static async findByKey(key) {
+    const query = 'SELECT * FROM login_attempts WHERE attempt_key = ?';
+    const results = await executeQuery(query, [key]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new LoginAttempt(results[0]);
+  }
+
+  // Count a failure, starting a fresh window if the previous one has passed
+  static async recordFailure(key, windowMs) {
+    const windowStart = new Date(Date.now() - windowMs);
+
+    const query = `
+      INSERT INTO login_attempts (attempt_key, failures, first_failure_at, last_failure_at)
+      VALUES (?, 1, NOW(), NOW())
+      ON DUPLICATE KEY UPDATE
+        failures = IF(first_failure_at < ?, 1, failures + 1),
+        first_failure_at = IF(first_failure_at < ?, NOW(), first_failure_at),
+        last_failure_at = NOW()
+    `;
+    await executeQuery(query, [key, windowStart, windowStart]);
+
+    return await LoginAttempt.findByKey(key);
+  }
+
+  // Lock the key until the given time
+  static async lock(key, until) {
+    const query = 'UPDATE login_attempts SET locked_until = ? WHERE attempt_key = ?';
+    await executeQuery(query, [until, key]);
+  }
+
+  // Clear counters (after a successful login or once a lockout has served)
+  static async reset(key) {
+    const query = 'DELETE FROM login_attempts WHERE attempt_key = ?';
+    await executeQuery(query, [key]);
+  }
+}
+
+module.exports = LoginAttempt;
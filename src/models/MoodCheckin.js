@@ -0,0 +1,159 @@
+const { executeQuery } = require('../config/database');
+
+// Score ranges: mood 1 (awful) to 10 (great), anxiety 0 (calm) to 10 (panic)
+const MOOD_RANGE = { min: 1, max: 10 };
+const ANXIETY_RANGE = { min: 0, max: 10 };
+
+// Topic severity an anxiety level corresponds to
+const severityForAnxiety = (level) => {
+  if (level >= 9) {
+    return 'critical';
+  }
+  if (level >= 7) {
+    return 'high';
+  }
+  if (level >= 4) {
+    return 'medium';
+  }
+  return 'low';
+};
+
+// A point-in-time record of how the user feels, optionally about a topic
+class MoodCheckin {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.topic_id = data.topic_id;
+    this.mood_score = data.mood_score;
+    this.anxiety_level = data.anxiety_level;
+    this.note = data.note;
+    this.tags = data.tags ? (typeof data.tags === 'string' ? JSON.parse(data.tags) : data.tags) : [];
+    this.recorded_at = data.recorded_at;
+    this.created_at = data.created_at;
+  }
+
+  // Record a check-in (recorded_at defaults to now)
+  static async create(checkinData) {
+    const { user_id, topic_id, mood_score, anxiety_level, note, tags, recorded_at } = checkinData;
+
+    const query = `
+      INSERT INTO mood_checkins (user_id, topic_id, mood_score, anxiety_level, note, tags, recorded_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [
+      user_id,
+      topic_id || null,
+      mood_score,
+      anxiety_level,
+      note || null,
+      tags && tags.length > 0 ? JSON.stringify(tags) : null,
+      recorded_at ? new Date(recorded_at) : new Date()
+    ]);
+
+    return await MoodCheckin.findById(result.insertId);
+  }
+
+  // Find check-in by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM mood_checkins WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new MoodCheckin(results[0]);
+  }
+
+  // A user's check-ins, most recent first, optionally for one topic
+  static async findByUserId(userId, options = {}) {
+    const { topic_id, limit = 20, offset = 0 } = options;
+
+    let query = 'SELECT * FROM mood_checkins WHERE user_id = ?';
+    const params = [userId];
+
+    if (topic_id) {
+      query += ' AND topic_id = ?';
+      params.push(topic_id);
+    }
+
+    query += ' ORDER BY recorded_at DESC, id DESC LIMIT ? OFFSET ?';
+    params.push(limit, offset);
+
+    const results = await executeQuery(query, params);
+
+    return results.map(row => new MoodCheckin(row));
+  }
+
+  // A user's check-ins recorded in [from, to), oldest first
+  static async findInRange(userId, from, to, options = {}) {
+    const { topic_id } = options;
+
+    let query = 'SELECT * FROM mood_checkins WHERE user_id = ? AND recorded_at >= ? AND recorded_at < ?';
+    const params = [userId, from, to];
+
+    if (topic_id) {
+      query += ' AND topic_id = ?';
+      params.push(topic_id);
+    }
+
+    query += ' ORDER BY recorded_at ASC, id ASC';
+
+    const results = await executeQuery(query, params);
+
+    return results.map(row => new MoodCheckin(row));
+  }
+
+  // A topic's linked check-ins, oldest first
+  static async findByTopicId(topicId) {
+    const query = 'SELECT * FROM mood_checkins WHERE topic_id = ? ORDER BY recorded_at ASC, id ASC';
+    const results = await executeQuery(query, [topicId]);
+
+    return results.map(row => new MoodCheckin(row));
+  }
+
+  // Every check-in of a user, oldest first (for data exports)
+  static async findAllByUserId(userId) {
+    const query = 'SELECT * FROM mood_checkins WHERE user_id = ? ORDER BY recorded_at ASC, id ASC';
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => new MoodCheckin(row));
+  }
+
+  // When each of a user's check-ins was recorded, oldest first (for streaks)
+  static async findRecordedTimesByUserId(userId) {
+    const query = 'SELECT recorded_at FROM mood_checkins WHERE user_id = ? ORDER BY recorded_at ASC';
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => row.recorded_at);
+  }
+
+  async delete() {
+    await executeQuery('DELETE FROM mood_checkins WHERE id = ?', [this.id]);
+  }
+
+  severityLevel() {
+    return severityForAnxiety(this.anxiety_level);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      topic_id: this.topic_id,
+      mood_score: this.mood_score,
+      anxiety_level: this.anxiety_level,
+      severity_level: this.severityLevel(),
+      note: this.note,
+      tags: this.tags,
+      recorded_at: this.recorded_at,
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = MoodCheckin;
+module.exports.MOOD_RANGE = MOOD_RANGE;
+module.exports.ANXIETY_RANGE = ANXIETY_RANGE;
+module.exports.severityForAnxiety = severityForAnxiety;
@@ -0,0 +1,101 @@
+const { executeQuery } = require('../config/database');
+
+class PasswordReset {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.code_hash = data.code_hash;
+    this.attempts = data.attempts || 0;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Create a reset code, invalidating any earlier outstanding ones
+  static async create(resetData) {
+    const { user_id, code_hash, expires_at } = resetData;
+
+    await executeQuery(
+      'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+      [user_id]
+    );
+
+    const query = `
+      INSERT INTO password_resets (user_id, code_hash, expires_at)
+      VALUES (?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [user_id, code_hash, expires_at]);
+
+    return await PasswordReset.findById(result.insertId);
+  }
+
+  // Find reset by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM password_resets WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PasswordReset(results[0]);
+  }
+
+  // Find the user's outstanding (unused, unexpired) reset code
+  static async findActiveByUserId(userId) {
+    const query = `
+      SELECT * FROM password_resets
+      WHERE user_id = ? AND used_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PasswordReset(results[0]);
+  }
+
+  // Find the user's most recent reset code (used or not)
+  static async findLatestByUserId(userId) {
+    const query = `
+      SELECT * FROM password_resets
+      WHERE user_id = ?
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PasswordReset(results[0]);
+  }
+
+  // Count reset codes issued to the user since a given time
+  static async countSince(userId, since) {
+    const query = 'SELECT COUNT(*) as count FROM password_resets WHERE user_id = ? AND created_at >= ?';
+    const results = await executeQuery(query, [userId, since]);
+    return results[0].count;
+  }
+
+  // Count a failed guess
+  async recordFailedAttempt() {
+    const query = 'UPDATE password_resets SET attempts = attempts + 1 WHERE id = ?';
+    await executeQuery(query, [this.id]);
+    this.attempts += 1;
+  }
+
+  // Consume the code. Returns false if it was already used concurrently.
+  async markUsed() {
+    const query = 'UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL';
+    const result = await executeQuery(query, [this.id]);
+    return result.affectedRows === 1;
+  }
+}
+
+module.exports = PasswordReset;
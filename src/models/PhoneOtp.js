@@ -0,0 +1,101 @@
+const { executeQuery } = require('../config/database');
+
+// An SMS one-time code, either for logging in with a phone number
+// ('login') or for confirming a phone number added to an account ('verify')
+class PhoneOtp {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.phone = data.phone;
+    this.purpose = data.purpose;
+    this.code_hash = data.code_hash;
+    this.attempts = data.attempts || 0;
+    this.expires_at = data.expires_at;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Create a code, invalidating any earlier outstanding ones for the same
+  // user, phone and purpose
+  static async create(otpData) {
+    const { user_id, phone, purpose, code_hash, expires_at } = otpData;
+
+    await executeQuery(
+      'UPDATE phone_otps SET used_at = NOW() WHERE user_id = ? AND phone = ? AND purpose = ? AND used_at IS NULL',
+      [user_id, phone, purpose]
+    );
+
+    const query = `
+      INSERT INTO phone_otps (user_id, phone, purpose, code_hash, expires_at)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [user_id, phone, purpose, code_hash, expires_at]);
+
+    return await PhoneOtp.findById(result.insertId);
+  }
+
+  // Find code by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM phone_otps WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PhoneOtp(results[0]);
+  }
+
+  // Find the outstanding (unused, unexpired) code
+  static async findActive(userId, phone, purpose) {
+    const query = `
+      SELECT * FROM phone_otps
+      WHERE user_id = ? AND phone = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()
+      ORDER BY created_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [userId, phone, purpose]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PhoneOtp(results[0]);
+  }
+
+  // Latest code sent to a phone number, whoever requested it
+  static async findLatestByPhone(phone) {
+    const query = 'SELECT * FROM phone_otps WHERE phone = ? ORDER BY created_at DESC LIMIT 1';
+    const results = await executeQuery(query, [phone]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PhoneOtp(results[0]);
+  }
+
+  // Count codes sent to a phone number since a point in time
+  static async countSince(phone, since) {
+    const query = 'SELECT COUNT(*) as count FROM phone_otps WHERE phone = ? AND created_at >= ?';
+    const results = await executeQuery(query, [phone, since]);
+    return results[0].count;
+  }
+
+  // Count a failed guess
+  async recordFailedAttempt() {
+    const query = 'UPDATE phone_otps SET attempts = attempts + 1 WHERE id = ?';
+    await executeQuery(query, [this.id]);
+    this.attempts += 1;
+  }
+
+  // Consume the code. Returns false if it was already used concurrently.
+  async markUsed() {
+    const query = 'UPDATE phone_otps SET used_at = NOW() WHERE id = ? AND used_at IS NULL';
+    const result = await executeQuery(query, [this.id]);
+    return result.affectedRows === 1;
+  }
+}
+
+module.exports = PhoneOtp;
@@ -0,0 +1,153 @@
+const { executeQuery } = require('../config/database');
+
+// An A/B experiment over versions of one persona. `variants` is a list of
+// { key, persona_version, weight }; users are bucketed by weight.
+class PromptExperiment {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.personality = data.personality;
+    this.variants = data.variants ? (typeof data.variants === 'string' ? JSON.parse(data.variants) : data.variants) : [];
+    this.status = data.status;
+    this.created_by = data.created_by;
+    this.started_at = data.started_at;
+    this.stopped_at = data.stopped_at;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create an experiment (in draft until started)
+  static async create(experimentData) {
+    const { name, description, personality, variants, created_by } = experimentData;
+
+    const query = `
+      INSERT INTO prompt_experiments (name, description, personality, variants, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [
+      name,
+      description || null,
+      personality,
+      JSON.stringify(variants),
+      created_by || null
+    ]);
+
+    return await PromptExperiment.findById(result.insertId);
+  }
+
+  // Find experiment by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM prompt_experiments WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PromptExperiment(results[0]);
+  }
+
+  // Find experiment by name
+  static async findByName(name) {
+    const query = 'SELECT * FROM prompt_experiments WHERE name = ?';
+    const results = await executeQuery(query, [name]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PromptExperiment(results[0]);
+  }
+
+  // The running experiment for a persona (at most one runs at a time)
+  static async findRunningByPersonality(personality) {
+    const query = `
+      SELECT * FROM prompt_experiments
+      WHERE personality = ? AND status = 'running'
+      ORDER BY started_at DESC
+      LIMIT 1
+    `;
+    const results = await executeQuery(query, [personality]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new PromptExperiment(results[0]);
+  }
+
+  // List experiments, newest first
+  static async findAll(options = {}) {
+    const { status } = options;
+
+    let query = 'SELECT * FROM prompt_experiments';
+    const params = [];
+
+    if (status) {
+      query += ' WHERE status = ?';
+      params.push(status);
+    }
+
+    query += ' ORDER BY created_at DESC';
+
+    const results = await executeQuery(query, params);
+    return results.map(row => new PromptExperiment(row));
+  }
+
+  getVariant(key) {
+    return this.variants.find(variant => variant.key === key) || null;
+  }
+
+  isRunning() {
+    return this.status === 'running';
+  }
+
+  // Start a draft experiment. Returns false if it isn't a draft anymore.
+  async start() {
+    const query = `
+      UPDATE prompt_experiments SET status = 'running', started_at = NOW()
+      WHERE id = ? AND status = 'draft'
+    `;
+    const result = await executeQuery(query, [this.id]);
+    if (result.affectedRows === 1) {
+      this.status = 'running';
+      this.started_at = new Date();
+    }
+    return result.affectedRows === 1;
+  }
+
+  // Stop a running experiment. Returns false if it wasn't running.
+  async stop() {
+    const query = `
+      UPDATE prompt_experiments SET status = 'stopped', stopped_at = NOW()
+      WHERE id = ? AND status = 'running'
+    `;
+    const result = await executeQuery(query, [this.id]);
+    if (result.affectedRows === 1) {
+      this.status = 'stopped';
+      this.stopped_at = new Date();
+    }
+    return result.affectedRows === 1;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      personality: this.personality,
+      variants: this.variants,
+      status: this.status,
+      created_by: this.created_by,
+      started_at: this.started_at,
+      stopped_at: this.stopped_at,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = PromptExperiment;
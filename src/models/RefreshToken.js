@@ -0,0 +1,113 @@
+const { executeQuery } = require('../config/database');
+
+class RefreshToken {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.family_id = data.family_id;
+    this.token_hash = data.token_hash;
+    this.replaced_by_id = data.replaced_by_id;
+    this.expires_at = data.expires_at;
+    this.revoked_at = data.revoked_at;
+    this.revoke_reason = data.revoke_reason;
+    this.created_at = data.created_at;
+  }
+
+  // Store a new refresh token (only the hash is persisted)
+  static async create(tokenData) {
+    const { user_id, family_id, token_hash, expires_at } = tokenData;
+
+    const query = `
+      INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at)
+      VALUES (?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [user_id, family_id, token_hash, expires_at]);
+
+    return await RefreshToken.findById(result.insertId);
+  }
+
+  // Find token by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM refresh_tokens WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new RefreshToken(results[0]);
+  }
+
+  // Find token by its SHA-256 hash
+  static async findByHash(tokenHash) {
+    const query = 'SELECT * FROM refresh_tokens WHERE token_hash = ?';
+    const results = await executeQuery(query, [tokenHash]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new RefreshToken(results[0]);
+  }
+
+  // Revoke every token in a family
+  static async revokeFamily(familyId, reason = 'logout') {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = ?
+      WHERE family_id = ? AND revoked_at IS NULL
+    `;
+    const result = await executeQuery(query, [reason, familyId]);
+    return result.affectedRows;
+  }
+
+  // Revoke every token a user holds, optionally keeping one family alive
+  static async revokeAllForUser(userId, reason = 'logout', exceptFamilyId = null) {
+    let query = `
+      UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = ?
+      WHERE user_id = ? AND revoked_at IS NULL
+    `;
+    const params = [reason, userId];
+
+    if (exceptFamilyId) {
+      query += ' AND family_id != ?';
+      params.push(exceptFamilyId);
+    }
+
+    const result = await executeQuery(query, params);
+    return result.affectedRows;
+  }
+
+  // Mark this token as used. Returns false if another request already used or
+  // revoked it, so concurrent refreshes with the same token can't both succeed.
+  async markRotated() {
+    const query = `
+      UPDATE refresh_tokens SET revoked_at = NOW(), revoke_reason = 'rotated'
+      WHERE id = ? AND revoked_at IS NULL
+    `;
+    const result = await executeQuery(query, [this.id]);
+    return result.affectedRows === 1;
+  }
+
+  // Link this token to the one that replaced it
+  async setReplacedBy(replacementId) {
+    const query = 'UPDATE refresh_tokens SET replaced_by_id = ? WHERE id = ?';
+    await executeQuery(query, [replacementId, this.id]);
+    this.replaced_by_id = replacementId;
+  }
+
+  isExpired() {
+    return new Date(this.expires_at).getTime() <= Date.now();
+  }
+
+  isRevoked() {
+    return this.revoked_at !== null && this.revoked_at !== undefined;
+  }
+
+  // A rotated token being presented again means it was copied somewhere
+  wasRotated() {
+    return this.revoke_reason === 'rotated';
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,88 @@
+const { executeQuery } = require('../config/database');
+
+// One suggestion generation call: the persona, prompt version, model and
+// temperature used and the tokens it cost. Its suggestions share its id.
+class SuggestionBatch {
+  constructor(data) {
+    this.id = data.id;
+    this.topic_id = data.topic_id;
+    this.user_id = data.user_id;
+    this.personality = data.personality;
+    this.persona_version = data.persona_version;
+    this.model = data.model;
+    this.temperature = data.temperature !== null && data.temperature !== undefined ? Number(data.temperature) : null;
+    this.prompt_tokens = data.prompt_tokens;
+    this.completion_tokens = data.completion_tokens;
+    this.total_tokens = data.total_tokens;
+    this.created_at = data.created_at;
+  }
+
+  // Record a generation call
+  static async create(batchData) {
+    const { topic_id, user_id, personality, persona_version, model, temperature, usage = {} } = batchData;
+
+    const query = `
+      INSERT INTO suggestion_batches
+        (topic_id, user_id, personality, persona_version, model, temperature, prompt_tokens, completion_tokens, total_tokens)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [
+      topic_id,
+      user_id,
+      personality,
+      persona_version,
+      model,
+      temperature,
+      usage.prompt_tokens ?? null,
+      usage.completion_tokens ?? null,
+      usage.total_tokens ?? null
+    ]);
+
+    return await SuggestionBatch.findById(result.insertId);
+  }
+
+  // Find batch by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM suggestion_batches WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new SuggestionBatch(results[0]);
+  }
+
+  // Most recent batch generated for a topic
+  static async findLatestByTopicId(topicId) {
+    const query = 'SELECT * FROM suggestion_batches WHERE topic_id = ? ORDER BY created_at DESC, id DESC LIMIT 1';
+    const results = await executeQuery(query, [topicId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new SuggestionBatch(results[0]);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      topic_id: this.topic_id,
+      personality: this.personality,
+      persona_version: this.persona_version,
+      model: this.model,
+      temperature: this.temperature,
+      usage: {
+        prompt_tokens: this.prompt_tokens,
+        completion_tokens: this.completion_tokens,
+        total_tokens: this.total_tokens
+      },
+      created_at: this.created_at
+    };
+  }
+}
+
+module.exports = SuggestionBatch;
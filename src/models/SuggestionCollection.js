@@ -0,0 +1,155 @@
+const { executeQuery } = require('../config/database');
+
+// A user-defined, named collection of saved suggestions
+class SuggestionCollection {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.name = data.name;
+    this.description = data.description;
+    this.item_count = data.item_count !== undefined ? Number(data.item_count) : undefined;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create a collection
+  static async create(collectionData) {
+    const { user_id, name, description } = collectionData;
+
+    const query = `
+      INSERT INTO suggestion_collections (user_id, name, description)
+      VALUES (?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [user_id, name, description || null]);
+
+    return await SuggestionCollection.findById(result.insertId);
+  }
+
+  // Find collection by ID, with its item count (suggestions in the trash
+  // are not counted)
+  static async findById(id) {
+    const query = `
+      SELECT c.*, (
+        SELECT COUNT(*) FROM suggestion_collection_items i
+        JOIN anxiety_suggestions s ON s.id = i.suggestion_id
+        WHERE i.collection_id = c.id AND s.deleted_at IS NULL
+      ) as item_count
+      FROM suggestion_collections c
+      WHERE c.id = ?
+    `;
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new SuggestionCollection(results[0]);
+  }
+
+  // Find a user's collection by name
+  static async findByName(userId, name) {
+    const query = 'SELECT * FROM suggestion_collections WHERE user_id = ? AND name = ?';
+    const results = await executeQuery(query, [userId, name]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new SuggestionCollection(results[0]);
+  }
+
+  // A user's collections with item counts, by name
+  static async findByUserId(userId) {
+    const query = `
+      SELECT c.*, COUNT(s.id) as item_count
+      FROM suggestion_collections c
+      LEFT JOIN suggestion_collection_items i ON i.collection_id = c.id
+      LEFT JOIN anxiety_suggestions s ON s.id = i.suggestion_id AND s.deleted_at IS NULL
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.name ASC
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => new SuggestionCollection(row));
+  }
+
+  // IDs of the suggestions in each of a user's collections: { collection_id: [suggestion_id] }
+  static async getItemIdsByUserId(userId) {
+    const query = `
+      SELECT collection_id, suggestion_id
+      FROM suggestion_collection_items
+      WHERE user_id = ?
+      ORDER BY added_at ASC
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    const items = {};
+    for (const row of results) {
+      (items[row.collection_id] = items[row.collection_id] || []).push(row.suggestion_id);
+    }
+    return items;
+  }
+
+  // Update name/description
+  async update(updateData) {
+    const allowedFields = ['name', 'description'];
+    const updates = [];
+    const values = [];
+
+    for (const [key, value] of Object.entries(updateData)) {
+      if (allowedFields.includes(key) && value !== undefined) {
+        updates.push(`${key} = ?`);
+        values.push(value);
+      }
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
+    const query = `UPDATE suggestion_collections SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+
+    await executeQuery(query, values);
+
+    return await SuggestionCollection.findById(this.id);
+  }
+
+  // Delete the collection (its suggestions are kept)
+  async delete() {
+    await executeQuery('DELETE FROM suggestion_collections WHERE id = ?', [this.id]);
+  }
+
+  // Add a suggestion. Returns false if it was already in the collection.
+  async addSuggestion(suggestionId) {
+    const query = `
+      INSERT IGNORE INTO suggestion_collection_items (collection_id, suggestion_id, user_id)
+      VALUES (?, ?, ?)
+    `;
+    const result = await executeQuery(query, [this.id, suggestionId, this.user_id]);
+    return result.affectedRows === 1;
+  }
+
+  // Remove a suggestion. Returns false if it wasn't in the collection.
+  async removeSuggestion(suggestionId) {
+    const query = 'DELETE FROM suggestion_collection_items WHERE collection_id = ? AND suggestion_id = ?';
+    const result = await executeQuery(query, [this.id, suggestionId]);
+    return result.affectedRows === 1;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      ...(this.item_count !== undefined && { item_count: this.item_count }),
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = SuggestionCollection;
@@ -0,0 +1,223 @@
+const { executeQuery } = require('../config/database');
+const { nextRunAt } = require('../utils/schedule');
+
+// Reminders a single topic can have
+const MAX_PER_TOPIC = 10;
+
+const SCHEDULE_FIELDS = ['schedule_type', 'run_at', 'time_of_day', 'cron_expression', 'timezone'];
+
+// Only the fields the schedule type uses are stored; the others are cleared
+const scheduleColumns = ({ schedule_type, run_at, time_of_day, cron_expression, timezone }) => ({
+  schedule_type,
+  run_at: schedule_type === 'once' ? new Date(run_at) : null,
+  time_of_day: schedule_type === 'daily' || schedule_type === 'weekdays' ? time_of_day : null,
+  cron_expression: schedule_type === 'custom' ? cron_expression.trim().replace(/\s+/g, ' ') : null,
+  timezone
+});
+
+// A per-topic revisit reminder. Due reminders are claimed by one server
+// instance at a time (see claimDue) and sent by the reminder job.
+class TopicReminder {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.topic_id = data.topic_id;
+    this.schedule_type = data.schedule_type;
+    this.run_at = data.run_at;
+    this.time_of_day = data.time_of_day;
+    this.cron_expression = data.cron_expression;
+    this.timezone = data.timezone;
+    this.message = data.message;
+    this.is_enabled = !!data.is_enabled;
+    this.next_run_at = data.next_run_at;
+    this.last_sent_at = data.last_sent_at;
+    this.failure_count = data.failure_count || 0;
+    this.last_error = data.last_error;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Create a reminder, scheduled from now
+  static async create(reminderData) {
+    const { user_id, topic_id, message, is_enabled = true } = reminderData;
+    const schedule = scheduleColumns(reminderData);
+
+    const query = `
+      INSERT INTO topic_reminders
+        (user_id, topic_id, schedule_type, run_at, time_of_day, cron_expression, timezone, message, is_enabled, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [
+      user_id,
+      topic_id,
+      schedule.schedule_type,
+      schedule.run_at,
+      schedule.time_of_day,
+      schedule.cron_expression,
+      schedule.timezone,
+      message || null,
+      is_enabled,
+      is_enabled ? nextRunAt(schedule) : null
+    ]);
+
+    return await TopicReminder.findById(result.insertId);
+  }
+
+  // Find reminder by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM topic_reminders WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new TopicReminder(results[0]);
+  }
+
+  // A topic's reminders, oldest first
+  static async findByTopicId(topicId) {
+    const query = 'SELECT * FROM topic_reminders WHERE topic_id = ? ORDER BY created_at ASC, id ASC';
+    const results = await executeQuery(query, [topicId]);
+
+    return results.map(row => new TopicReminder(row));
+  }
+
+  // Every reminder of a user (for data exports)
+  static async findAllByUserId(userId) {
+    const query = 'SELECT * FROM topic_reminders WHERE user_id = ? ORDER BY created_at ASC, id ASC';
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => new TopicReminder(row));
+  }
+
+  static async countByTopicId(topicId) {
+    const results = await executeQuery('SELECT COUNT(*) as count FROM topic_reminders WHERE topic_id = ?', [topicId]);
+    return Number(results[0].count);
+  }
+
+  // The stored schedule with changes applied, for validating an update
+  mergeSchedule(updateData) {
+    const schedule = {};
+    for (const field of SCHEDULE_FIELDS) {
+      schedule[field] = updateData[field] !== undefined ? updateData[field] : this[field];
+    }
+    return schedule;
+  }
+
+  // Update the schedule, message or enabled flag. The next run is worked
+  // out again from now, and any claim on the reminder is dropped so an
+  // in-flight send can't overwrite the new schedule.
+  async update(updateData) {
+    const schedule = scheduleColumns(this.mergeSchedule(updateData));
+    const isEnabled = updateData.is_enabled !== undefined ? updateData.is_enabled : this.is_enabled;
+    const message = updateData.message !== undefined ? updateData.message || null : this.message;
+
+    const query = `
+      UPDATE topic_reminders
+      SET schedule_type = ?, run_at = ?, time_of_day = ?, cron_expression = ?, timezone = ?,
+          message = ?, is_enabled = ?, next_run_at = ?, failure_count = 0, last_error = NULL,
+          claimed_by = NULL, claimed_until = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `;
+
+    await executeQuery(query, [
+      schedule.schedule_type,
+      schedule.run_at,
+      schedule.time_of_day,
+      schedule.cron_expression,
+      schedule.timezone,
+      message,
+      isEnabled,
+      isEnabled ? nextRunAt(schedule) : null,
+      this.id
+    ]);
+
+    return await TopicReminder.findById(this.id);
+  }
+
+  async delete() {
+    await executeQuery('DELETE FROM topic_reminders WHERE id = ?', [this.id]);
+  }
+
+  // Claim up to `limit` due reminders for `claimToken`, leasing them for
+  // `leaseSeconds`. The claim is a single UPDATE, so concurrent instances
+  // never claim the same reminder; a lease that runs out (e.g. the instance
+  // crashed mid-send) makes the reminder claimable again.
+  static async claimDue(claimToken, { limit = 50, leaseSeconds = 120 } = {}) {
+    await executeQuery(`
+      UPDATE topic_reminders
+      SET claimed_by = ?, claimed_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+      WHERE is_enabled = TRUE AND next_run_at <= NOW()
+        AND (claimed_until IS NULL OR claimed_until < NOW())
+      ORDER BY next_run_at ASC
+      LIMIT ?
+    `, [claimToken, leaseSeconds, limit]);
+
+    const results = await executeQuery(
+      'SELECT * FROM topic_reminders WHERE claimed_by = ? ORDER BY next_run_at ASC',
+      [claimToken]
+    );
+
+    return results.map(row => new TopicReminder(row));
+  }
+
+  // Release a claimed reminder and move it to its next run after now
+  // (missed runs are not caught up). One-off reminders are disabled once
+  // they have no next run. Returns false if the claim was lost.
+  async reschedule(claimToken, { sent }) {
+    const next = nextRunAt(this, new Date());
+
+    const result = await executeQuery(`
+      UPDATE topic_reminders
+      SET next_run_at = ?, is_enabled = ?, ${sent ? 'last_sent_at = NOW(), ' : ''}
+          failure_count = 0, last_error = NULL, claimed_by = NULL, claimed_until = NULL
+      WHERE id = ? AND claimed_by = ?
+    `, [next, next !== null, this.id, claimToken]);
+
+    return result.affectedRows === 1;
+  }
+
+  // Record a failed send. The claim is dropped but the lease is kept, so the
+  // reminder is retried when the lease runs out; after `maxAttempts` failures
+  // it gives up on this run and moves to the next one.
+  async recordFailure(claimToken, error, maxAttempts) {
+    const lastError = String(error && error.message ? error.message : error).slice(0, 255);
+
+    if (this.failure_count + 1 >= maxAttempts) {
+      await this.reschedule(claimToken, { sent: false });
+      await executeQuery('UPDATE topic_reminders SET last_error = ? WHERE id = ?', [lastError, this.id]);
+      return;
+    }
+
+    await executeQuery(`
+      UPDATE topic_reminders
+      SET failure_count = failure_count + 1, last_error = ?, claimed_by = NULL
+      WHERE id = ? AND claimed_by = ?
+    `, [lastError, this.id, claimToken]);
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      topic_id: this.topic_id,
+      schedule_type: this.schedule_type,
+      run_at: this.run_at,
+      time_of_day: this.time_of_day,
+      cron_expression: this.cron_expression,
+      timezone: this.timezone,
+      message: this.message,
+      enabled: this.is_enabled,
+      next_run_at: this.next_run_at,
+      last_sent_at: this.last_sent_at,
+      ...(this.last_error && { last_error: this.last_error }),
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = TopicReminder;
+module.exports.MAX_PER_TOPIC = MAX_PER_TOPIC;
@@ -0,0 +1,130 @@
+const { executeQuery, getConnection } = require('../config/database');
+
+// One item of a topic's micro-step checklist
+class TopicStep {
+  constructor(data) {
+    this.id = data.id;
+    this.topic_id = data.topic_id;
+    this.user_id = data.user_id;
+    this.position = data.position;
+    this.step_text = data.step_text;
+    this.personality = data.personality;
+    this.persona_version = data.persona_version;
+    this.completed_at = data.completed_at || null;
+    this.created_at = data.created_at;
+    this.updated_at = data.updated_at;
+  }
+
+  // Replace a topic's checklist with new steps (in order), in one transaction
+  static async replaceForTopic(topic, steps, { personality = null, persona_version = null } = {}) {
+    const connection = await getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      await connection.execute('DELETE FROM topic_steps WHERE topic_id = ?', [topic.id]);
+      for (const [index, text] of steps.entries()) {
+        await connection.execute(
+          `INSERT INTO topic_steps (topic_id, user_id, position, step_text, personality, persona_version)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [topic.id, topic.user_id, index + 1, text, personality, persona_version]
+        );
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    return await TopicStep.findByTopicId(topic.id);
+  }
+
+  // Find step by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM topic_steps WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new TopicStep(results[0]);
+  }
+
+  // A topic's checklist, in order
+  static async findByTopicId(topicId) {
+    const query = 'SELECT * FROM topic_steps WHERE topic_id = ? ORDER BY position ASC, id ASC';
+    const results = await executeQuery(query, [topicId]);
+
+    return results.map(row => new TopicStep(row));
+  }
+
+  // Every step of a user (for data exports)
+  static async findAllByUserId(userId) {
+    const query = 'SELECT * FROM topic_steps WHERE user_id = ? ORDER BY topic_id ASC, position ASC';
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => new TopicStep(row));
+  }
+
+  // Number of steps a user has ticked off
+  static async countCompletedByUserId(userId) {
+    const query = 'SELECT COUNT(completed_at) as completed FROM topic_steps WHERE user_id = ?';
+    const results = await executeQuery(query, [userId]);
+
+    return Number(results[0].completed);
+  }
+
+  // Edit the text and/or tick the step off (completed: true) or on again (false)
+  async update({ text, completed }) {
+    const updates = [];
+    const values = [];
+
+    if (text !== undefined) {
+      updates.push('step_text = ?');
+      values.push(text);
+    }
+    // Ticking an already completed step keeps its original completion time
+    if (completed !== undefined) {
+      updates.push(completed ? 'completed_at = COALESCE(completed_at, NOW())' : 'completed_at = NULL');
+    }
+
+    if (updates.length === 0) {
+      return this;
+    }
+
+    values.push(this.id);
+    await executeQuery(`UPDATE topic_steps SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, values);
+
+    return await TopicStep.findById(this.id);
+  }
+
+  async delete() {
+    await executeQuery('DELETE FROM topic_steps WHERE id = ?', [this.id]);
+  }
+
+  isCompleted() {
+    return !!this.completed_at;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      topic_id: this.topic_id,
+      position: this.position,
+      text: this.step_text,
+      completed: this.isCompleted(),
+      completed_at: this.completed_at,
+      personality: this.personality,
+      persona_version: this.persona_version,
+      created_at: this.created_at,
+      updated_at: this.updated_at
+    };
+  }
+}
+
+module.exports = TopicStep;
@@ -0,0 +1,75 @@
+const { executeQuery } = require('../config/database');
+
+// A user's TOTP enrollment. The secret is stored encrypted (utils/secretBox).
+class TwoFactorAuth {
+  constructor(data) {
+    this.user_id = data.user_id;
+    this.secret_encrypted = data.secret_encrypted;
+    this.enabled_at = data.enabled_at;
+    this.last_used_step = data.last_used_step;
+    this.created_at = data.created_at;
+  }
+
+  // Start (or restart) enrollment with a new secret, not yet enabled
+  static async createPending(userId, secretEncrypted) {
+    const query = `
+      INSERT INTO user_two_factor (user_id, secret_encrypted, enabled_at, last_used_step)
+      VALUES (?, ?, NULL, NULL)
+      ON DUPLICATE KEY UPDATE
+        secret_encrypted = VALUES(secret_encrypted),
+        enabled_at = NULL,
+        last_used_step = NULL,
+        created_at = CURRENT_TIMESTAMP
+    `;
+    await executeQuery(query, [userId, secretEncrypted]);
+
+    return await TwoFactorAuth.findByUserId(userId);
+  }
+
+  // Find enrollment by user ID
+  static async findByUserId(userId) {
+    const query = 'SELECT * FROM user_two_factor WHERE user_id = ?';
+    const results = await executeQuery(query, [userId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new TwoFactorAuth(results[0]);
+  }
+
+  isEnabled() {
+    return this.enabled_at !== null && this.enabled_at !== undefined;
+  }
+
+  // Finish enrollment
+  async enable() {
+    const query = 'UPDATE user_two_factor SET enabled_at = NOW() WHERE user_id = ?';
+    await executeQuery(query, [this.user_id]);
+    this.enabled_at = new Date();
+  }
+
+  // Record the time step of an accepted code. Returns false if this step (or
+  // a later one) was already used, which blocks replaying a code.
+  async useStep(step) {
+    const query = `
+      UPDATE user_two_factor SET last_used_step = ?
+      WHERE user_id = ? AND (last_used_step IS NULL OR last_used_step < ?)
+    `;
+    const result = await executeQuery(query, [step, this.user_id, step]);
+    if (result.affectedRows === 1) {
+      this.last_used_step = step;
+      return true;
+    }
+    return false;
+  }
+
+  // Remove the enrollment
+  async delete() {
+    const query = 'DELETE FROM user_two_factor WHERE user_id = ?';
+    await executeQuery(query, [this.user_id]);
+    return true;
+  }
+}
+
+module.exports = TwoFactorAuth;
@@ -0,0 +1,50 @@
+const { executeQuery } = require('../config/database');
+
+// One-time recovery codes for when the authenticator isn't available
+class TwoFactorRecoveryCode {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.code_hash = data.code_hash;
+    this.used_at = data.used_at;
+    this.created_at = data.created_at;
+  }
+
+  // Replace all of a user's recovery codes
+  static async replaceForUser(userId, codeHashes) {
+    await TwoFactorRecoveryCode.deleteForUser(userId);
+
+    if (codeHashes.length === 0) {
+      return;
+    }
+
+    const placeholders = codeHashes.map(() => '(?, ?)').join(', ');
+    const params = codeHashes.flatMap(hash => [userId, hash]);
+    await executeQuery(`INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ${placeholders}`, params);
+  }
+
+  // Consume a code. Returns false if it doesn't exist or was already used.
+  static async consume(userId, codeHash) {
+    const query = `
+      UPDATE two_factor_recovery_codes SET used_at = NOW()
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `;
+    const result = await executeQuery(query, [userId, codeHash]);
+    return result.affectedRows === 1;
+  }
+
+  // Count unused codes
+  static async countRemaining(userId) {
+    const query = 'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL';
+    const results = await executeQuery(query, [userId]);
+    return results[0].count;
+  }
+
+  // Delete all of a user's codes
+  static async deleteForUser(userId) {
+    const query = 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?';
+    await executeQuery(query, [userId]);
+  }
+}
+
+module.exports = TwoFactorRecoveryCode;
@@ -1,14 +1,30 @@
 const { executeQuery } = require('../config/database');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
+const { permissionsForRole } = require('../config/roles');
 
 class User {
   constructor(data) {
     this.id = data.id;
     this.username = data.username;
     this.email = data.email;
+    this.email_verified_at = data.email_verified_at;
     this.password_hash = data.password_hash;
+    this.apple_sub = data.apple_sub;
+    this.role = data.role || 'user';
+    this.is_guest = !!data.is_guest;
+    this.guest_device_id = data.guest_device_id;
+    this.guest_secret_hash = data.guest_secret_hash;
+    this.phone = data.phone;
+    this.phone_verified_at = data.phone_verified_at;
     this.full_name = data.full_name;
     this.avatar_url = data.avatar_url;
+    // Suggestions adapt to the user's feedback unless they opt out
+    this.personalization_enabled = data.personalization_enabled === undefined || data.personalization_enabled === null
+      ? true
+      : !!data.personalization_enabled;
+    // IANA timezone for day boundaries (check-in aggregates, reminders, streaks)
+    this.timezone = data.timezone || 'UTC';
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
     this.last_login = data.last_login;
@@ -34,6 +50,49 @@ class User {
     return await User.findById(result.insertId);
   }
 
+  // Create a user from a verified Sign in with Apple identity
+  static async createWithApple(appleData) {
+    const { apple_sub, email, email_verified, full_name } = appleData;
+    
+    const username = await User.generateUsername('apple');
+    
+    const query = `
+      INSERT INTO users (username, email, email_verified_at, apple_sub, full_name)
+      VALUES (?, ?, ${email && email_verified ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?, ?)
+    `;
+    
+    const result = await executeQuery(query, [username, email || null, apple_sub, full_name || null]);
+    
+    return await User.findById(result.insertId);
+  }
+
+  // Create an anonymous guest account bound to a device
+  static async createGuest(guestData) {
+    const { device_id, device_secret_hash } = guestData;
+    
+    const username = await User.generateUsername('guest');
+    
+    const query = `
+      INSERT INTO users (username, is_guest, guest_device_id, guest_secret_hash)
+      VALUES (?, TRUE, ?, ?)
+    `;
+    
+    const result = await executeQuery(query, [username, device_id, device_secret_hash]);
+    
+    return await User.findById(result.insertId);
+  }
+
+  // Pick an unused username like "apple_3f9a1c2e" for accounts without one
+  static async generateUsername(prefix) {
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const username = `${prefix}_${crypto.randomBytes(4).toString('hex')}`;
+      if (!(await User.usernameExists(username))) {
+        return username;
+      }
+    }
+    throw new Error('Failed to generate a unique username');
+  }
+
   // Find user by ID
   static async findById(id) {
     const query = 'SELECT * FROM users WHERE id = ? AND is_active = TRUE';
@@ -70,11 +129,65 @@ class User {
     return new User(results[0]);
   }
 
-  // Verify password
+  // Find user by Sign in with Apple subject
+  static async findByAppleSub(appleSub) {
+    const query = 'SELECT * FROM users WHERE apple_sub = ? AND is_active = TRUE';
+    const results = await executeQuery(query, [appleSub]);
+    
+    if (results.length === 0) {
+      return null;
+    }
+    
+    return new User(results[0]);
+  }
+
+  // Find user by verified phone number (E.164)
+  static async findByPhone(phone) {
+    const query = 'SELECT * FROM users WHERE phone = ? AND is_active = TRUE';
+    const results = await executeQuery(query, [phone]);
+    
+    if (results.length === 0) {
+      return null;
+    }
+    
+    return new User(results[0]);
+  }
+
+  // Find the guest account bound to a device
+  static async findGuestByDeviceId(deviceId) {
+    const query = 'SELECT * FROM users WHERE guest_device_id = ? AND is_guest = TRUE AND is_active = TRUE';
+    const results = await executeQuery(query, [deviceId]);
+    
+    if (results.length === 0) {
+      return null;
+    }
+    
+    return new User(results[0]);
+  }
+
+  // Verify password (accounts created through Apple have none)
   async verifyPassword(password) {
+    if (!this.password_hash) {
+      return false;
+    }
     return await bcrypt.compare(password, this.password_hash);
   }
 
+  // Attach a Sign in with Apple identity to this account
+  async linkApple(appleSub) {
+    const query = 'UPDATE users SET apple_sub = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await executeQuery(query, [appleSub, this.id]);
+    this.apple_sub = appleSub;
+  }
+
+  // Set the account's phone number once it has been verified by SMS
+  async setVerifiedPhone(phone) {
+    const query = 'UPDATE users SET phone = ?, phone_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await executeQuery(query, [phone, this.id]);
+    this.phone = phone;
+    this.phone_verified_at = new Date();
+  }
+
   // Update last login
   async updateLastLogin() {
     const query = 'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE id = ?';
@@ -82,9 +195,81 @@ class User {
     this.last_login = new Date();
   }
 
+  // Replace the password hash
+  async updatePassword(newPassword) {
+    const saltRounds = 10;
+    const password_hash = await bcrypt.hash(newPassword, saltRounds);
+    
+    const query = 'UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await executeQuery(query, [password_hash, this.id]);
+    this.password_hash = password_hash;
+  }
+
+  // Turn a guest into a full account, keeping the same user id (and so all
+  // of its topics, suggestions and chats)
+  async upgradeFromGuest(accountData) {
+    const { username, email, password, full_name, apple_sub, email_verified } = accountData;
+    
+    const password_hash = password ? await bcrypt.hash(password, 10) : null;
+    
+    const query = `
+      UPDATE users
+      SET username = COALESCE(?, username),
+          email = ?,
+          email_verified_at = ${email_verified ? 'CURRENT_TIMESTAMP' : 'NULL'},
+          password_hash = ?,
+          apple_sub = ?,
+          full_name = COALESCE(?, full_name),
+          is_guest = FALSE,
+          guest_device_id = NULL,
+          guest_secret_hash = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND is_guest = TRUE
+    `;
+    
+    await executeQuery(query, [
+      username || null,
+      email || null,
+      password_hash,
+      apple_sub || null,
+      full_name || null,
+      this.id
+    ]);
+    
+    return await User.findById(this.id);
+  }
+
+  // Permissions granted by the user's role
+  getPermissions() {
+    return permissionsForRole(this.role);
+  }
+
+  hasPermission(permission) {
+    const permissions = this.getPermissions();
+    return permissions.includes('*') || permissions.includes(permission);
+  }
+
+  // Change the user's role
+  async updateRole(role) {
+    const query = 'UPDATE users SET role = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?';
+    await executeQuery(query, [role, this.id]);
+    this.role = role;
+  }
+
+  // Mark the current email as verified
+  async markEmailVerified() {
+    const query = 'UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ? AND email_verified_at IS NULL';
+    await executeQuery(query, [this.id]);
+    this.email_verified_at = this.email_verified_at || new Date();
+  }
+
+  isEmailVerified() {
+    return this.email_verified_at !== null && this.email_verified_at !== undefined;
+  }
+
   // Update user profile
   async update(updateData) {
-    const allowedFields = ['full_name', 'avatar_url'];
+    const allowedFields = ['full_name', 'avatar_url', 'personalization_enabled', 'timezone'];
     const updates = [];
     const values = [];
     
@@ -121,8 +306,15 @@ class User {
       id: this.id,
       username: this.username,
       email: this.email,
+      email_verified: this.isEmailVerified(),
+      apple_linked: !!this.apple_sub,
+      phone: this.phone || null,
+      is_guest: this.is_guest,
+      role: this.role,
       full_name: this.full_name,
       avatar_url: this.avatar_url,
+      personalization_enabled: this.personalization_enabled,
+      timezone: this.timezone,
       created_at: this.created_at,
       last_login: this.last_login
     };
@@ -142,6 +334,20 @@ class User {
     return results[0].count > 0;
   }
 
+  // Check if phone number exists
+  static async phoneExists(phone, excludeId = null) {
+    let query = 'SELECT COUNT(*) as count FROM users WHERE phone = ?';
+    let params = [phone];
+    
+    if (excludeId) {
+      query += ' AND id != ?';
+      params.push(excludeId);
+    }
+    
+    const results = await executeQuery(query, params);
+    return results[0].count > 0;
+  }
+
   // Check if email exists
   static async emailExists(email, excludeId = null) {
     let query = 'SELECT COUNT(*) as count FROM users WHERE email = ?';
@@ -0,0 +1,42 @@
+const { executeQuery } = require('../config/database');
+
+// An achievement a user has unlocked. A user has each achievement at most
+// once; the first unlock is kept.
+class UserAchievement {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.achievement_key = data.achievement_key;
+    this.unlocked_at = data.unlocked_at;
+  }
+
+  // A user's achievements, in the order they were unlocked
+  static async findByUserId(userId) {
+    const query = 'SELECT * FROM user_achievements WHERE user_id = ? ORDER BY unlocked_at ASC, id ASC';
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => new UserAchievement(row));
+  }
+
+  // Unlock an achievement for a user. Returns true only for the request that
+  // actually unlocked it, so concurrent actions announce it once.
+  static async unlock(userId, achievementKey) {
+    const query = `
+      INSERT IGNORE INTO user_achievements (user_id, achievement_key)
+      VALUES (?, ?)
+    `;
+    const result = await executeQuery(query, [userId, achievementKey]);
+
+    return result.affectedRows === 1;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      key: this.achievement_key,
+      unlocked_at: this.unlocked_at
+    };
+  }
+}
+
+module.exports = UserAchievement;
@@ -0,0 +1,68 @@
+const { executeQuery } = require('../config/database');
+
+class UserActivityLog {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.activity_type = data.activity_type;
+    this.details = data.details ? (typeof data.details === 'string' ? JSON.parse(data.details) : data.details) : null;
+    this.ip_address = data.ip_address;
+    this.user_agent = data.user_agent;
+    this.created_at = data.created_at;
+  }
+
+  // Record an activity
+  static async create(logData) {
+    const { user_id, activity_type, details, ip_address, user_agent } = logData;
+
+    const query = `
+      INSERT INTO user_activity_log (user_id, activity_type, details, ip_address, user_agent)
+      VALUES (?, ?, ?, ?, ?)
+    `;
+
+    const result = await executeQuery(query, [
+      user_id,
+      activity_type,
+      details ? JSON.stringify(details) : null,
+      ip_address || null,
+      user_agent || null
+    ]);
+
+    return await UserActivityLog.findById(result.insertId);
+  }
+
+  // Record an activity using the request's client details
+  static async record(req, userId, activityType, details = null) {
+    return await UserActivityLog.create({
+      user_id: userId,
+      activity_type: activityType,
+      details,
+      ip_address: req.ip,
+      user_agent: req.headers['user-agent']
+    });
+  }
+
+  // Find log entry by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM user_activity_log WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new UserActivityLog(results[0]);
+  }
+
+  // Count a user's activities of one type since a point in time
+  static async countSince(userId, activityType, since) {
+    const query = `
+      SELECT COUNT(*) as count FROM user_activity_log
+      WHERE user_id = ? AND activity_type = ? AND created_at >= ?
+    `;
+    const results = await executeQuery(query, [userId, activityType, since]);
+    return results[0].count;
+  }
+}
+
+module.exports = UserActivityLog;
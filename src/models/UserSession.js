@@ -0,0 +1,153 @@
+const { executeQuery } = require('../config/database');
+const RefreshToken = require('./RefreshToken');
+
+// Only bump last_seen_at this often to avoid a write on every request
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+class UserSession {
+  constructor(data) {
+    this.id = data.id;
+    this.user_id = data.user_id;
+    this.family_id = data.family_id;
+    this.user_agent = data.user_agent;
+    this.ip_address = data.ip_address;
+    this.app_version = data.app_version;
+    this.login_at = data.login_at;
+    this.created_at = data.created_at;
+    this.last_seen_at = data.last_seen_at;
+    this.revoked_at = data.revoked_at;
+  }
+
+  // Create a new device session. Pass login_at only for an actual login.
+  static async create(sessionData) {
+    const { user_id, family_id, user_agent, ip_address, app_version, login_at } = sessionData;
+
+    const query = `
+      INSERT INTO user_sessions (user_id, family_id, user_agent, ip_address, app_version, login_at, last_seen_at)
+      VALUES (?, ?, ?, ?, ?, ?, NOW())
+    `;
+
+    const result = await executeQuery(query, [
+      user_id,
+      family_id,
+      user_agent || null,
+      ip_address || null,
+      app_version || null,
+      login_at || null
+    ]);
+
+    return await UserSession.findById(result.insertId);
+  }
+
+  // Find session by ID
+  static async findById(id) {
+    const query = 'SELECT * FROM user_sessions WHERE id = ?';
+    const results = await executeQuery(query, [id]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new UserSession(results[0]);
+  }
+
+  // Find session by refresh token family
+  static async findByFamilyId(familyId) {
+    const query = 'SELECT * FROM user_sessions WHERE family_id = ?';
+    const results = await executeQuery(query, [familyId]);
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return new UserSession(results[0]);
+  }
+
+  // Find sessions that are still logged in
+  static async findActiveByUserId(userId) {
+    const query = `
+      SELECT us.* FROM user_sessions us
+      WHERE us.user_id = ? AND us.revoked_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM refresh_tokens rt
+          WHERE rt.family_id = us.family_id AND rt.revoked_at IS NULL AND rt.expires_at > NOW()
+        )
+      ORDER BY us.last_seen_at DESC
+    `;
+    const results = await executeQuery(query, [userId]);
+
+    return results.map(row => new UserSession(row));
+  }
+
+  // Revoke the session belonging to a token family
+  static async revokeByFamilyId(familyId, reason = 'logout') {
+    const query = 'UPDATE user_sessions SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL';
+    await executeQuery(query, [familyId]);
+    await RefreshToken.revokeFamily(familyId, reason);
+  }
+
+  // Revoke all of a user's sessions, optionally keeping the current one
+  static async revokeAllForUser(userId, reason = 'logout', exceptFamilyId = null) {
+    let query = 'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL';
+    const params = [userId];
+
+    if (exceptFamilyId) {
+      query += ' AND family_id != ?';
+      params.push(exceptFamilyId);
+    }
+
+    const result = await executeQuery(query, params);
+    await RefreshToken.revokeAllForUser(userId, reason, exceptFamilyId);
+
+    return result.affectedRows;
+  }
+
+  // Revoke this session and its refresh tokens
+  async revoke(reason = 'logout') {
+    await UserSession.revokeByFamilyId(this.family_id, reason);
+    this.revoked_at = new Date();
+  }
+
+  // Record activity, refreshing client details when they are provided
+  async touch(details = {}) {
+    const { user_agent, ip_address, app_version } = details;
+    const lastSeen = this.last_seen_at ? new Date(this.last_seen_at).getTime() : 0;
+    const changed = (user_agent && user_agent !== this.user_agent) ||
+      (ip_address && ip_address !== this.ip_address) ||
+      (app_version && app_version !== this.app_version);
+
+    if (!changed && Date.now() - lastSeen < LAST_SEEN_RESOLUTION_MS) {
+      return;
+    }
+
+    const query = `
+      UPDATE user_sessions
+      SET last_seen_at = NOW(),
+          user_agent = COALESCE(?, user_agent),
+          ip_address = COALESCE(?, ip_address),
+          app_version = COALESCE(?, app_version)
+      WHERE id = ?
+    `;
+    await executeQuery(query, [user_agent || null, ip_address || null, app_version || null, this.id]);
+    this.last_seen_at = new Date();
+  }
+
+  isRevoked() {
+    return this.revoked_at !== null && this.revoked_at !== undefined;
+  }
+
+  // Convert to JSON
+  toJSON() {
+    return {
+      id: this.id,
+      user_agent: this.user_agent,
+      ip_address: this.ip_address,
+      app_version: this.app_version,
+      created_at: this.created_at,
+      last_seen_at: this.last_seen_at,
+      ...(this.current !== undefined && { current: this.current })
+    };
+  }
+}
+
+module.exports = UserSession;
@@ -0,0 +1,19 @@
+const express = require('express');
+const achievementService = require('../services/achievementService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/authorize');
+
+const router = express.Router();
+
+// Every achievement with the user's progress, plus their check-in streak.
+// Achievements reached before they could be unlocked are unlocked here.
+router.get('/', requireScope('achievements:read'), asyncHandler(async (req, res) => {
+  const overview = await achievementService.overview(req.user);
+
+  res.json({
+    success: true,
+    data: overview
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,340 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const PromptExperiment = require('../models/PromptExperiment');
+const personaRegistry = require('../services/personaRegistry');
+const experimentService = require('../services/experimentService');
+const { SCOPES } = require('../config/apiKeyScopes');
+const { ROLES } = require('../config/roles');
+const { generateSecureToken } = require('../utils/codes');
+const { hashToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
+const { asyncHandler } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+// API keys look like "wb_<43 url-safe chars>"; the first characters are
+// kept in clear so a key can be recognised in lists and logs
+const API_KEY_PREFIX = 'wb_';
+const KEY_PREFIX_LENGTH = 11;
+
+// Validation middleware
+const validateApiKey = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(SCOPES)
+    .withMessage(`Each scope must be one of: ${SCOPES.join(', ')}`),
+  body('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('user_id must be a positive integer')
+    .toInt(),
+  body('expires_at')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date')
+    .custom(value => new Date(value).getTime() > Date.now())
+    .withMessage('expires_at must be in the future')
+];
+
+const validateExperiment = [
+  body('name')
+    .isString()
+    .matches(/^[a-z0-9_-]{1,100}$/)
+    .withMessage('Name must be 1-100 lowercase letters, numbers, dashes or underscores'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('personality')
+    .custom(value => personaRegistry.has(value))
+    .withMessage(() => `Personality must be one of: ${personaRegistry.ids().join(', ')}`),
+  body('variants')
+    .isArray({ min: 2, max: 10 })
+    .withMessage('variants must be an array of 2 to 10 variants'),
+  body('variants.*.key')
+    .isString()
+    .matches(/^[a-z0-9_-]{1,50}$/)
+    .withMessage('Variant key must be 1-50 lowercase letters, numbers, dashes or underscores'),
+  body('variants.*.persona_version')
+    .isInt({ min: 1 })
+    .withMessage('Variant persona_version must be a positive integer')
+    .toInt()
+    .custom((value, { req }) => personaRegistry.hasVersion(req.body.personality, value))
+    .withMessage('Variant persona_version does not exist for this personality'),
+  body('variants.*.weight')
+    .isInt({ min: 0, max: 1000 })
+    .withMessage('Variant weight must be between 0 and 1000')
+    .toInt(),
+  body('variants')
+    .custom(variants => new Set(variants.map(variant => variant.key)).size === variants.length)
+    .withMessage('Variant keys must be unique')
+    .custom(variants => variants.reduce((sum, variant) => sum + Number(variant.weight || 0), 0) > 0)
+    .withMessage('At least one variant needs a positive weight')
+];
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// List API keys
+router.get('/api-keys', requirePermission('api_keys:manage'), [
+  query('user_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('user_id must be a positive integer'),
+  query('include_revoked')
+    .optional()
+    .isBoolean()
+    .withMessage('include_revoked must be a boolean')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const keys = await ApiKey.findAll({
+    user_id: req.query.user_id ? parseInt(req.query.user_id) : null,
+    include_revoked: req.query.include_revoked === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: {
+      api_keys: keys.map(key => key.toJSON())
+    }
+  });
+}));
+
+// Create an API key. It acts as `user_id` (default: the calling admin) and
+// the plaintext key is only returned in this response.
+router.post('/api-keys', requirePermission('api_keys:manage'), validateApiKey, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name, scopes, user_id, expires_at } = req.body;
+
+  const owner = user_id ? await User.findById(user_id) : req.user;
+  if (!owner) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'User not found'
+    });
+  }
+
+  const plaintextKey = `${API_KEY_PREFIX}${generateSecureToken(32)}`;
+
+  const apiKey = await ApiKey.create({
+    user_id: owner.id,
+    name,
+    key_prefix: plaintextKey.slice(0, KEY_PREFIX_LENGTH),
+    key_hash: hashToken(plaintextKey),
+    scopes: [...new Set(scopes)],
+    created_by: req.user.id,
+    expires_at: expires_at ? new Date(expires_at) : null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Store the key now, it will not be shown again.',
+    data: {
+      api_key: apiKey.toJSON(),
+      key: plaintextKey
+    }
+  });
+}));
+
+// Revoke an API key
+router.delete('/api-keys/:id', requirePermission('api_keys:manage'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid API key ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const apiKey = await ApiKey.findById(parseInt(req.params.id));
+
+  if (!apiKey || !(await apiKey.revoke())) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'API key not found or already revoked'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: {
+      api_key: apiKey.toJSON()
+    }
+  });
+}));
+
+// Change a user's role. Admins can't change their own role, so the last
+// admin can't lock everyone out by accident.
+router.put('/users/:id/role', requirePermission('users:manage'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid user ID'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`)
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findById(parseInt(req.params.id));
+
+  if (!user) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'User not found'
+    });
+  }
+
+  if (user.id === req.user.id) {
+    return res.status(409).json({
+      error: 'Own role',
+      message: 'You cannot change your own role'
+    });
+  }
+
+  await user.updateRole(req.body.role);
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: {
+      user: user.toPublicJSON()
+    }
+  });
+}));
+
+// List prompt experiments
+router.get('/experiments', requirePermission('experiments:manage'), [
+  query('status')
+    .optional()
+    .isIn(['draft', 'running', 'stopped'])
+    .withMessage('Status must be one of: draft, running, stopped')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const experiments = await PromptExperiment.findAll({ status: req.query.status });
+
+  res.json({
+    success: true,
+    data: {
+      experiments: experiments.map(experiment => experiment.toJSON())
+    }
+  });
+}));
+
+// Create a prompt experiment (starts as a draft)
+router.post('/experiments', requirePermission('experiments:manage'), validateExperiment, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name, description, personality, variants } = req.body;
+
+  if (await PromptExperiment.findByName(name)) {
+    return res.status(409).json({
+      error: 'Experiment exists',
+      message: 'An experiment with this name already exists'
+    });
+  }
+
+  const experiment = await PromptExperiment.create({
+    name,
+    description,
+    personality,
+    variants: variants.map(({ key, persona_version, weight }) => ({ key, persona_version, weight })),
+    created_by: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Experiment created',
+    data: {
+      experiment: experiment.toJSON()
+    }
+  });
+}));
+
+// Load the experiment named by :id, answering 404 if it doesn't exist
+const findExperiment = async (req, res) => {
+  const experiment = await PromptExperiment.findById(parseInt(req.params.id));
+  if (!experiment) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Experiment not found'
+    });
+  }
+  return experiment;
+};
+
+const validateExperimentId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid experiment ID')
+];
+
+// Start a draft experiment. Only one experiment per persona can run at a time.
+router.post('/experiments/:id/start', requirePermission('experiments:manage'), validateExperimentId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const experiment = await findExperiment(req, res);
+  if (!experiment) {
+    return;
+  }
+
+  const running = await PromptExperiment.findRunningByPersonality(experiment.personality);
+  if (running && running.id !== experiment.id) {
+    return res.status(409).json({
+      error: 'Experiment conflict',
+      message: `Experiment "${running.name}" is already running for the ${experiment.personality} persona`
+    });
+  }
+
+  if (!(await experiment.start())) {
+    return res.status(409).json({
+      error: 'Experiment conflict',
+      message: 'Only draft experiments can be started'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Experiment started',
+    data: {
+      experiment: experiment.toJSON()
+    }
+  });
+}));
+
+// Stop a running experiment
+router.post('/experiments/:id/stop', requirePermission('experiments:manage'), validateExperimentId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const experiment = await findExperiment(req, res);
+  if (!experiment) {
+    return;
+  }
+
+  if (!(await experiment.stop())) {
+    return res.status(409).json({
+      error: 'Experiment conflict',
+      message: 'Only running experiments can be stopped'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Experiment stopped',
+    data: {
+      experiment: experiment.toJSON()
+    }
+  });
+}));
+
+// Feedback per variant with counts and 95% confidence intervals
+router.get('/experiments/:id/report', requirePermission('experiments:manage'), validateExperimentId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const experiment = await findExperiment(req, res);
+  if (!experiment) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    data: await experimentService.buildReport(experiment)
+  });
+}));
+
+module.exports = router;
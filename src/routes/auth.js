@@ -1,42 +1,119 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, authenticateToken, refreshToken } = require('../middleware/auth');
+const UserSession = require('../models/UserSession');
+const PasswordReset = require('../models/PasswordReset');
+const EmailVerification = require('../models/EmailVerification');
+const PhoneOtp = require('../models/PhoneOtp');
+const AccountDeletion = require('../models/AccountDeletion');
+const UserActivityLog = require('../models/UserActivityLog');
+const mailer = require('../services/mailer');
+const smsService = require('../services/smsService');
+const appleAuthService = require('../services/appleAuthService');
+const loginThrottle = require('../services/loginThrottle');
+const twoFactorService = require('../services/twoFactorService');
+const { AppleAuthError } = require('../services/appleAuthService');
+const { generateNumericCode, generateSecureToken, hashCode, safeEqual } = require('../utils/codes');
+const { isValidTimezone } = require('../utils/timezone');
+const { hashToken, startSession, tokenResponse, authenticateToken, refreshToken } = require('../middleware/auth');
 const { asyncHandler } = require('../middleware/errorHandler');
 
 const router = express.Router();
 
+const RESET_CODE_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_CODE_TTL_MINUTES) || 15;
+const RESET_CODE_MAX_ATTEMPTS = parseInt(process.env.PASSWORD_RESET_MAX_ATTEMPTS) || 5;
+const RESET_RESEND_INTERVAL_SECONDS = parseInt(process.env.PASSWORD_RESET_RESEND_INTERVAL_SECONDS) || 60;
+const RESET_MAX_PER_DAY = parseInt(process.env.PASSWORD_RESET_MAX_PER_DAY) || 5;
+const VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const VERIFICATION_RESEND_INTERVAL_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_INTERVAL_SECONDS) || 60;
+const VERIFICATION_MAX_PER_DAY = parseInt(process.env.EMAIL_VERIFICATION_MAX_PER_DAY) || 5;
+const parsedGraceDays = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS);
+const DELETION_GRACE_DAYS = Number.isNaN(parsedGraceDays) ? 7 : parsedGraceDays;
+const DELETION_RECENT_LOGIN_MINUTES = parseInt(process.env.ACCOUNT_DELETION_RECENT_LOGIN_MINUTES) || 10;
+const PHONE_CODE_TTL_MINUTES = parseInt(process.env.PHONE_CODE_TTL_MINUTES) || 5;
+const PHONE_CODE_MAX_ATTEMPTS = parseInt(process.env.PHONE_CODE_MAX_ATTEMPTS) || 5;
+const PHONE_CODE_RESEND_INTERVAL_SECONDS = parseInt(process.env.PHONE_CODE_RESEND_INTERVAL_SECONDS) || 60;
+const PHONE_CODE_MAX_PER_HOUR = parseInt(process.env.PHONE_CODE_MAX_PER_HOUR) || 5;
+
+// Password strength rule shared by registration and password changes
+const withPasswordStrength = (chain) => chain
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number');
+
+const passwordRule = (field) => withPasswordStrength(body(field));
+
+// Username/email/password rules for a new account. `condition` makes them
+// apply only when it passes (used by guest upgrade, which also accepts Apple).
+const accountRules = (condition) => {
+  const field = (name) => (condition ? body(name).if(condition()) : body(name));
+
+  return [
+    field('username')
+      .isLength({ min: 3, max: 50 })
+      .withMessage('Username must be between 3 and 50 characters')
+      .matches(/^[a-zA-Z0-9_]+$/)
+      .withMessage('Username can only contain letters, numbers, and underscores'),
+    field('email')
+      .isEmail()
+      .withMessage('Please provide a valid email')
+      .normalizeEmail(),
+    withPasswordStrength(field('password')),
+    field('full_name')
+      .optional()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Full name must be between 1 and 100 characters')
+  ];
+};
+
 // Validation middleware
-const validateRegistration = [
-  body('username')
-    .isLength({ min: 3, max: 50 })
-    .withMessage('Username must be between 3 and 50 characters')
-    .matches(/^[a-zA-Z0-9_]+$/)
-    .withMessage('Username can only contain letters, numbers, and underscores'),
-  body('email')
-    .isEmail()
-    .withMessage('Please provide a valid email')
-    .normalizeEmail(),
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
-  body('full_name')
-    .optional()
-    .isLength({ min: 1, max: 100 })
-    .withMessage('Full name must be between 1 and 100 characters')
-];
+const validateRegistration = accountRules();
 
+// `identifier` is a username or an email; older clients still send `username`
 const validateLogin = [
-  body('username')
+  body('identifier')
+    .customSanitizer((value, { req }) => value ?? req.body.username)
+    .isString()
+    .trim()
     .notEmpty()
-    .withMessage('Username is required'),
+    .withMessage('Username or email is required'),
+  body('identifier')
+    .if(body('identifier').contains('@'))
+    .normalizeEmail(),
   body('password')
     .notEmpty()
     .withMessage('Password is required')
 ];
 
+const validateAppleIdentity = [
+  body('identity_token')
+    .isString()
+    .notEmpty()
+    .withMessage('identity_token is required'),
+  body('nonce')
+    .isString()
+    .notEmpty()
+    .withMessage('nonce is required')
+];
+
+// Phone numbers are stored in E.164 form (+8613800138000); spaces, dashes
+// and parentheses are dropped first
+const phoneRule = () => body('phone')
+  .isString()
+  .withMessage('phone is required')
+  .customSanitizer(value => String(value).replace(/[\s\-()]/g, ''))
+  .matches(/^\+[1-9]\d{6,14}$/)
+  .withMessage('Phone number must be in international format, e.g. +8613800138000');
+
+const validatePhoneCode = [
+  phoneRule(),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('code is required')
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -49,6 +126,48 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Create a verification token for the user's email and mail it
+const sendEmailVerification = async (user) => {
+  const token = generateSecureToken(32);
+  await EmailVerification.create({
+    user_id: user.id,
+    email: user.email,
+    token_hash: hashCode(token),
+    expires_at: new Date(Date.now() + VERIFICATION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  await mailer.sendEmailVerification(user, token, VERIFICATION_TTL_HOURS);
+};
+
+// Finish a successful first-factor login: either hand out tokens, or a
+// short-lived challenge token when the account has 2FA enabled
+const completeLogin = async (req, res, user, { status = 200, message = 'Login successful', extra = {} } = {}) => {
+  if (await twoFactorService.isEnabled(user.id)) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      two_factor_required: true,
+      challenge_token: twoFactorService.createChallengeToken(user),
+      expires_in: twoFactorService.challengeTtlSeconds,
+      ...extra
+    });
+  }
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Generate access and refresh tokens
+  const tokens = await startSession(user, req);
+
+  return res.status(status).json({
+    success: true,
+    message,
+    ...extra,
+    ...tokenResponse(tokens),
+    user: user.toPublicJSON()
+  });
+};
+
 // Register new user
 router.post('/register', validateRegistration, handleValidationErrors, asyncHandler(async (req, res) => {
   const { username, email, password, full_name } = req.body;
@@ -77,53 +196,528 @@ router.post('/register', validateRegistration, handleValidationErrors, asyncHand
     full_name
   });
 
-  // Generate token
-  const token = generateToken(user);
+  // Registration succeeds even if the verification mail can't be sent;
+  // the user can request another one
+  try {
+    await sendEmailVerification(user);
+  } catch (error) {
+    console.error('Verification mail error:', error.message);
+  }
+
+  // Generate access and refresh tokens
+  const tokens = await startSession(user, req);
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
-    token,
+    ...tokenResponse(tokens),
     user: user.toPublicJSON()
   });
 }));
 
-// Login user
+// Reply to a throttled login attempt
+const sendLoginThrottled = (res, { status, retryAfter, reason }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({
+    error: status === 423 ? 'Account locked' : 'Too many requests',
+    message: reason === 'delay'
+      ? `Too many failed login attempts, please wait ${retryAfter} seconds`
+      : status === 423
+        ? `Account temporarily locked after too many failed login attempts, try again in ${Math.ceil(retryAfter / 60)} minutes`
+        : 'Too many failed login attempts from this IP, please try again later',
+    retry_after: retryAfter
+  });
+};
+
+// Login user with username or email
 router.post('/login', validateLogin, handleValidationErrors, asyncHandler(async (req, res) => {
-  const { username, password } = req.body;
+  const { identifier, password } = req.body;
+
+  const user = identifier.includes('@')
+    ? await User.findByEmail(identifier)
+    : await User.findByUsername(identifier);
+
+  // Throttle per account, so switching between username and email doesn't
+  // reset the counter
+  const username = user ? user.username : identifier;
+
+  const throttled = await loginThrottle.check(username, req.ip);
+  if (throttled) {
+    return sendLoginThrottled(res, throttled);
+  }
+
+  const isPasswordValid = user ? await user.verifyPassword(password) : false;
+
+  if (!isPasswordValid) {
+    const failure = await loginThrottle.recordFailure(username, req.ip);
+
+    if (failure.usernameLocked || failure.ipLocked) {
+      if (user) {
+        await UserActivityLog.record(req, user.id, 'account_locked', {
+          reason: failure.usernameLocked ? 'username_failures' : 'ip_failures',
+          failures: failure.failures,
+          locked_until: failure.lockedUntil.toISOString()
+        });
+      }
+      console.warn(`🔒 Login locked for ${failure.usernameLocked ? `username "${username}"` : `IP ${req.ip}`}`);
+
+      return sendLoginThrottled(res, {
+        status: failure.usernameLocked ? 423 : 429,
+        reason: 'locked',
+        retryAfter: Math.ceil((failure.lockedUntil.getTime() - Date.now()) / 1000)
+      });
+    }
+
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid username, email or password'
+    });
+  }
+
+  await loginThrottle.recordSuccess(username);
+
+  await completeLogin(req, res, user);
+}));
+
+// Send an SMS code to `phone` for `user`, enforcing the resend interval and
+// hourly cap per phone number. Returns false after answering 429. With no
+// user (an unregistered number) the request is recorded but no SMS is sent,
+// so unregistered numbers are throttled exactly like registered ones.
+const sendPhoneCode = async (res, user, phone, purpose) => {
+  const latest = await PhoneOtp.findLatestByPhone(phone);
+  if (latest) {
+    const elapsedSeconds = (Date.now() - new Date(latest.created_at).getTime()) / 1000;
+    if (elapsedSeconds < PHONE_CODE_RESEND_INTERVAL_SECONDS) {
+      const retryAfter = Math.ceil(PHONE_CODE_RESEND_INTERVAL_SECONDS - elapsedSeconds);
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        error: 'Too many requests',
+        message: `Please wait ${retryAfter} seconds before requesting another code`,
+        retry_after: retryAfter
+      });
+      return false;
+    }
+  }
+
+  const sentLastHour = await PhoneOtp.countSince(phone, new Date(Date.now() - 60 * 60 * 1000));
+  if (sentLastHour >= PHONE_CODE_MAX_PER_HOUR) {
+    res.set('Retry-After', String(60 * 60));
+    res.status(429).json({
+      error: 'Too many requests',
+      message: 'Too many codes requested for this phone number, please try again later'
+    });
+    return false;
+  }
+
+  const code = generateNumericCode(6);
+  await PhoneOtp.create({
+    user_id: user ? user.id : null,
+    phone,
+    purpose,
+    code_hash: hashCode(code),
+    expires_at: new Date(Date.now() + PHONE_CODE_TTL_MINUTES * 60 * 1000)
+  });
 
-  // Find user by username
-  const user = await User.findByUsername(username);
   if (!user) {
+    return true;
+  }
+
+  if (purpose === 'login') {
+    await smsService.sendLoginCode(phone, code, PHONE_CODE_TTL_MINUTES);
+  } else {
+    await smsService.sendPhoneVerificationCode(phone, code, PHONE_CODE_TTL_MINUTES);
+  }
+  return true;
+};
+
+// Check and consume an SMS code. Each code allows a few guesses.
+const consumePhoneCode = async (user, phone, purpose, code) => {
+  const otp = await PhoneOtp.findActive(user.id, phone, purpose);
+  if (!otp) {
+    return false;
+  }
+
+  if (!safeEqual(hashCode(code), otp.code_hash)) {
+    await otp.recordFailedAttempt();
+    if (otp.attempts >= PHONE_CODE_MAX_ATTEMPTS) {
+      await otp.markUsed();
+    }
+    return false;
+  }
+
+  return await otp.markUsed();
+};
+
+// Request an SMS login code for a phone number linked to an account
+router.post('/phone/send-code', [phoneRule()], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+  const user = await User.findByPhone(phone);
+
+  // Same response, throttling included, whether or not the number is
+  // registered; unknown numbers get no SMS
+  if (!(await sendPhoneCode(res, user, phone, 'login'))) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    message: 'If the phone number is registered, a login code has been sent',
+    expires_in: PHONE_CODE_TTL_MINUTES * 60
+  });
+}));
+
+// Log in with a phone number and SMS code
+router.post('/phone/login', validatePhoneCode, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { phone, code } = req.body;
+  const user = await User.findByPhone(phone);
+
+  if (user) {
+    const throttled = await loginThrottle.check(user.username, req.ip);
+    if (throttled) {
+      return sendLoginThrottled(res, throttled);
+    }
+  }
+
+  if (!user || !(await consumePhoneCode(user, phone, 'login', code))) {
+    if (user) {
+      await loginThrottle.recordFailure(user.username, req.ip);
+    }
     return res.status(401).json({
       error: 'Authentication failed',
-      message: 'Invalid username or password'
+      message: 'Invalid or expired code'
     });
   }
 
-  // Verify password
-  const isPasswordValid = await user.verifyPassword(password);
-  if (!isPasswordValid) {
+  await loginThrottle.recordSuccess(user.username);
+
+  await completeLogin(req, res, user);
+}));
+
+// Send a verification code to a phone number to add it to the current account
+router.post('/phone/link/send-code', authenticateToken, [phoneRule()], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { phone } = req.body;
+
+  if (await User.phoneExists(phone, req.user.id)) {
+    return res.status(409).json({
+      error: 'Link failed',
+      message: 'This phone number is already linked to another account'
+    });
+  }
+
+  if (!(await sendPhoneCode(res, req.user, phone, 'verify'))) {
+    return;
+  }
+
+  res.json({
+    success: true,
+    message: 'Verification code sent',
+    expires_in: PHONE_CODE_TTL_MINUTES * 60
+  });
+}));
+
+// Confirm the code and link the phone number to the current account
+router.post('/phone/link', authenticateToken, validatePhoneCode, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { phone, code } = req.body;
+
+  if (!(await consumePhoneCode(req.user, phone, 'verify', code))) {
+    return res.status(400).json({
+      error: 'Link failed',
+      message: 'Invalid or expired code'
+    });
+  }
+
+  // Another account may have claimed the number while the code was pending
+  if (await User.phoneExists(phone, req.user.id)) {
+    return res.status(409).json({
+      error: 'Link failed',
+      message: 'This phone number is already linked to another account'
+    });
+  }
+
+  await req.user.setVerifiedPhone(phone);
+
+  res.json({
+    success: true,
+    message: 'Phone number linked successfully',
+    user: req.user.toPublicJSON()
+  });
+}));
+
+// Second login step for accounts with 2FA: exchange the challenge token and
+// a TOTP (or recovery) code for real tokens
+router.post('/2fa/verify', [
+  body('challenge_token')
+    .isString()
+    .notEmpty()
+    .withMessage('challenge_token is required'),
+  body('code')
+    .optional()
+    .isString(),
+  body('recovery_code')
+    .if(body('code').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('code or recovery_code is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body;
+
+  const userId = twoFactorService.verifyChallengeToken(challenge_token);
+  const user = userId && await User.findById(userId);
+  if (!user) {
     return res.status(401).json({
       error: 'Authentication failed',
-      message: 'Invalid username or password'
+      message: 'Invalid or expired challenge token'
     });
   }
 
-  // Update last login
+  // Wrong codes count as failed logins for this account
+  const throttled = await loginThrottle.check(user.username, req.ip);
+  if (throttled) {
+    return sendLoginThrottled(res, throttled);
+  }
+
+  const verified = await twoFactorService.verifySecondFactor(user.id, { code, recovery_code });
+  if (!verified) {
+    const failure = await loginThrottle.recordFailure(user.username, req.ip);
+    if (failure.usernameLocked) {
+      await UserActivityLog.record(req, user.id, 'account_locked', {
+        reason: 'two_factor_failures',
+        failures: failure.failures,
+        locked_until: failure.lockedUntil.toISOString()
+      });
+    }
+
+    return res.status(401).json({
+      error: 'Authentication failed',
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  await loginThrottle.recordSuccess(user.username);
   await user.updateLastLogin();
 
-  // Generate token
-  const token = generateToken(user);
+  const tokens = await startSession(user, req);
 
   res.json({
     success: true,
     message: 'Login successful',
-    token,
+    ...tokenResponse(tokens),
+    ...(recovery_code && !code && {
+      recovery_codes_remaining: await twoFactorService.countRecoveryCodes(user.id)
+    }),
     user: user.toPublicJSON()
   });
 }));
 
+// Verify an Apple identity token, answering 401 on failure
+const verifyAppleIdentity = async (req, res) => {
+  try {
+    return await appleAuthService.verifyIdentityToken(req.body.identity_token, { nonce: req.body.nonce });
+  } catch (error) {
+    if (error instanceof AppleAuthError) {
+      res.status(401).json({
+        error: 'Authentication failed',
+        message: error.message
+      });
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Sign in with Apple (creates the account on first sign-in)
+router.post('/apple', [
+  ...validateAppleIdentity,
+  body('full_name')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Full name must be between 1 and 100 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const identity = await verifyAppleIdentity(req, res);
+  if (!identity) {
+    return;
+  }
+
+  let user = await User.findByAppleSub(identity.sub);
+  let isNewUser = false;
+
+  if (!user) {
+    // A real (non-relay) address may already belong to a password account.
+    // Don't merge silently; the user has to sign in and link Apple explicitly.
+    if (identity.email && await User.emailExists(identity.email)) {
+      return res.status(409).json({
+        error: 'Account exists',
+        message: 'An account with this email already exists. Log in with your password and link Apple from your profile.'
+      });
+    }
+
+    user = await User.createWithApple({
+      apple_sub: identity.sub,
+      email: identity.email,
+      email_verified: identity.email_verified || identity.is_private_email,
+      full_name: req.body.full_name
+    });
+    isNewUser = true;
+  }
+
+  await completeLogin(req, res, user, {
+    status: isNewUser ? 201 : 200,
+    message: isNewUser ? 'User registered successfully' : 'Login successful',
+    extra: { is_new_user: isNewUser }
+  });
+}));
+
+// Link Sign in with Apple to the current account
+router.post('/apple/link', authenticateToken, validateAppleIdentity, handleValidationErrors, asyncHandler(async (req, res) => {
+  const identity = await verifyAppleIdentity(req, res);
+  if (!identity) {
+    return;
+  }
+
+  const existing = await User.findByAppleSub(identity.sub);
+  if (existing && existing.id !== req.user.id) {
+    return res.status(409).json({
+      error: 'Link failed',
+      message: 'This Apple ID is already linked to another account'
+    });
+  }
+
+  if (req.user.apple_sub && req.user.apple_sub !== identity.sub) {
+    return res.status(409).json({
+      error: 'Link failed',
+      message: 'A different Apple ID is already linked to this account'
+    });
+  }
+
+  await req.user.linkApple(identity.sub);
+
+  res.json({
+    success: true,
+    message: 'Apple ID linked successfully',
+    user: req.user.toPublicJSON()
+  });
+}));
+
+// Start (or resume) a guest account bound to this device. The client keeps
+// device_secret in the Keychain; it's required to resume the same guest.
+router.post('/guest', [
+  body('device_id')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('device_id must be between 1 and 100 characters'),
+  body('device_secret')
+    .isString()
+    .isLength({ min: 32, max: 256 })
+    .withMessage('device_secret must be between 32 and 256 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { device_id, device_secret } = req.body;
+  const secretHash = hashToken(device_secret);
+
+  let user = await User.findGuestByDeviceId(device_id);
+  let isNewUser = false;
+
+  if (user) {
+    if (!safeEqual(secretHash, user.guest_secret_hash)) {
+      return res.status(401).json({
+        error: 'Authentication failed',
+        message: 'Device credentials do not match'
+      });
+    }
+  } else {
+    user = await User.createGuest({
+      device_id,
+      device_secret_hash: secretHash
+    });
+    isNewUser = true;
+  }
+
+  await completeLogin(req, res, user, {
+    status: isNewUser ? 201 : 200,
+    message: isNewUser ? 'Guest account created' : 'Login successful',
+    extra: { is_new_user: isNewUser }
+  });
+}));
+
+// Upgrade the current guest to a full account, either with
+// username/email/password or with Sign in with Apple
+const withoutAppleToken = () => body('identity_token').not().exists();
+
+router.post('/guest/upgrade', authenticateToken, [
+  body('identity_token')
+    .optional()
+    .isString()
+    .notEmpty()
+    .withMessage('identity_token must be a non-empty string'),
+  body('nonce')
+    .if(body('identity_token').exists())
+    .isString()
+    .notEmpty()
+    .withMessage('nonce is required'),
+  ...accountRules(withoutAppleToken)
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  if (!req.user.is_guest) {
+    return res.status(400).json({
+      error: 'Upgrade failed',
+      message: 'Only guest accounts can be upgraded'
+    });
+  }
+
+  let upgradedUser;
+
+  if (req.body.identity_token) {
+    const identity = await verifyAppleIdentity(req, res);
+    if (!identity) {
+      return;
+    }
+
+    if (await User.findByAppleSub(identity.sub)) {
+      return res.status(409).json({
+        error: 'Upgrade failed',
+        message: 'This Apple ID is already linked to another account'
+      });
+    }
+
+    // Keep the Apple email only if no other account uses it
+    const emailAvailable = identity.email && !(await User.emailExists(identity.email));
+
+    upgradedUser = await req.user.upgradeFromGuest({
+      apple_sub: identity.sub,
+      email: emailAvailable ? identity.email : null,
+      email_verified: emailAvailable && (identity.email_verified || identity.is_private_email)
+    });
+  } else {
+    const { username, email, password, full_name } = req.body;
+
+    if (await User.usernameExists(username, req.user.id)) {
+      return res.status(400).json({
+        error: 'Upgrade failed',
+        message: 'Username already exists'
+      });
+    }
+
+    if (await User.emailExists(email, req.user.id)) {
+      return res.status(400).json({
+        error: 'Upgrade failed',
+        message: 'Email already exists'
+      });
+    }
+
+    upgradedUser = await req.user.upgradeFromGuest({ username, email, password, full_name });
+
+    try {
+      await sendEmailVerification(upgradedUser);
+    } catch (error) {
+      console.error('Verification mail error:', error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'Account upgraded successfully',
+    user: upgradedUser.toPublicJSON()
+  });
+}));
+
 // Get current user profile
 router.get('/profile', authenticateToken, asyncHandler(async (req, res) => {
   res.json({
@@ -141,13 +735,18 @@ router.put('/profile', authenticateToken, [
   body('avatar_url')
     .optional()
     .isURL()
-    .withMessage('Avatar URL must be a valid URL')
+    .withMessage('Avatar URL must be a valid URL'),
+  body('timezone')
+    .optional()
+    .custom(value => isValidTimezone(value))
+    .withMessage('timezone must be an IANA timezone such as Asia/Shanghai')
 ], handleValidationErrors, asyncHandler(async (req, res) => {
-  const { full_name, avatar_url } = req.body;
+  const { full_name, avatar_url, timezone } = req.body;
 
   const updatedUser = await req.user.update({
     full_name,
-    avatar_url
+    avatar_url,
+    timezone
   });
 
   res.json({
@@ -157,19 +756,511 @@ router.put('/profile', authenticateToken, [
   });
 }));
 
-// Refresh token
-router.post('/refresh', authenticateToken, refreshToken);
+// Refresh token (rotates the refresh token, no access token required)
+router.post('/refresh', [
+  body('refresh_token')
+    .isString()
+    .notEmpty()
+    .withMessage('refresh_token is required')
+], handleValidationErrors, refreshToken);
+
+// Logout (revokes this login's token family, or every login with all=true)
+router.post('/logout', authenticateToken, [
+  body('all')
+    .optional()
+    .isBoolean()
+    .withMessage('all must be a boolean')
+    .toBoolean()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  if (req.body.all) {
+    await UserSession.revokeAllForUser(req.user.id, 'logout');
+  } else {
+    await UserSession.revokeByFamilyId(req.auth.family_id, 'logout');
+  }
 
-// Logout (client-side token removal)
-router.post('/logout', authenticateToken, asyncHandler(async (req, res) => {
-  // In a more sophisticated setup, you might want to blacklist the token
-  // For now, we'll just return a success message
   res.json({
     success: true,
     message: 'Logout successful'
   });
 }));
 
+// Verify email with the token from the verification mail
+router.post('/email/verify', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const verification = await EmailVerification.findActiveByHash(hashCode(req.body.token));
+
+  const user = verification && await User.findById(verification.user_id);
+
+  // The token only counts for the address it was sent to
+  if (!user || user.email !== verification.email || !(await verification.markUsed())) {
+    return res.status(400).json({
+      error: 'Verification failed',
+      message: 'Invalid or expired verification token'
+    });
+  }
+
+  await user.markEmailVerified();
+
+  res.json({
+    success: true,
+    message: 'Email verified successfully',
+    user: user.toPublicJSON()
+  });
+}));
+
+// Re-send the verification mail (throttled)
+router.post('/email/resend', authenticateToken, asyncHandler(async (req, res) => {
+  const user = req.user;
+
+  if (user.isEmailVerified()) {
+    return res.status(400).json({
+      error: 'Already verified',
+      message: 'Email is already verified'
+    });
+  }
+
+  // Guests and Apple accounts without a shared email have nothing to verify
+  if (!user.email) {
+    return res.status(400).json({
+      error: 'No email',
+      message: 'This account has no email address to verify'
+    });
+  }
+
+  const latest = await EmailVerification.findLatestByUserId(user.id);
+  if (latest) {
+    const elapsedSeconds = (Date.now() - new Date(latest.created_at).getTime()) / 1000;
+    if (elapsedSeconds < VERIFICATION_RESEND_INTERVAL_SECONDS) {
+      const retryAfter = Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - elapsedSeconds);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Please wait ${retryAfter} seconds before requesting another verification email`,
+        retry_after: retryAfter
+      });
+    }
+  }
+
+  const sentToday = await EmailVerification.countSince(user.id, new Date(Date.now() - 24 * 60 * 60 * 1000));
+  if (sentToday >= VERIFICATION_MAX_PER_DAY) {
+    res.set('Retry-After', String(24 * 60 * 60));
+    return res.status(429).json({
+      error: 'Too many requests',
+      message: 'Daily verification email limit reached, please try again tomorrow'
+    });
+  }
+
+  await sendEmailVerification(user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
+// Whether another reset code may be issued to the user now. Each code allows
+// a few guesses, so without this limit new codes would reset the guess count.
+const canIssueResetCode = async (user) => {
+  const latest = await PasswordReset.findLatestByUserId(user.id);
+  if (latest && (Date.now() - new Date(latest.created_at).getTime()) / 1000 < RESET_RESEND_INTERVAL_SECONDS) {
+    return false;
+  }
+
+  const issuedToday = await PasswordReset.countSince(user.id, new Date(Date.now() - 24 * 60 * 60 * 1000));
+  return issuedToday < RESET_MAX_PER_DAY;
+};
+
+// Request a password reset code by email (throttled per account)
+router.post('/password/forgot', [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await User.findByEmail(req.body.email);
+
+  // Same response whether or not the email is registered, and whether or not
+  // the request was throttled (a 429 would reveal that the email exists)
+  if (user && await canIssueResetCode(user)) {
+    const code = generateNumericCode(6);
+    await PasswordReset.create({
+      user_id: user.id,
+      code_hash: hashCode(code),
+      expires_at: new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000)
+    });
+
+    try {
+      await mailer.sendPasswordReset(user, code, RESET_CODE_TTL_MINUTES);
+    } catch (error) {
+      console.error('Password reset mail error:', error.message);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If the email is registered, a reset code has been sent'
+  });
+}));
+
+// Reset password with an emailed code
+router.post('/password/reset', [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail(),
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset code is required'),
+  passwordRule('new_password')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { email, code, new_password } = req.body;
+
+  const invalidCode = () => res.status(400).json({
+    error: 'Reset failed',
+    message: 'Invalid or expired reset code'
+  });
+
+  const user = await User.findByEmail(email);
+  if (!user) {
+    return invalidCode();
+  }
+
+  const reset = await PasswordReset.findActiveByUserId(user.id);
+  if (!reset) {
+    return invalidCode();
+  }
+
+  if (!safeEqual(hashCode(code), reset.code_hash)) {
+    await reset.recordFailedAttempt();
+    if (reset.attempts >= RESET_CODE_MAX_ATTEMPTS) {
+      await reset.markUsed();
+    }
+    return invalidCode();
+  }
+
+  if (!(await reset.markUsed())) {
+    return invalidCode();
+  }
+
+  await user.updatePassword(new_password);
+  await UserSession.revokeAllForUser(user.id, 'password_reset');
+
+  res.json({
+    success: true,
+    message: 'Password reset successfully, please log in again'
+  });
+}));
+
+// Change password while logged in
+router.post('/password/change', authenticateToken, [
+  body('current_password')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  passwordRule('new_password')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  const isPasswordValid = await req.user.verifyPassword(current_password);
+  if (!isPasswordValid) {
+    return res.status(400).json({
+      error: 'Password change failed',
+      message: 'Current password is incorrect'
+    });
+  }
+
+  if (current_password === new_password) {
+    return res.status(400).json({
+      error: 'Password change failed',
+      message: 'New password must be different from the current password'
+    });
+  }
+
+  await req.user.updatePassword(new_password);
+
+  // Keep this device logged in, sign out everywhere else
+  const revokedCount = await UserSession.revokeAllForUser(req.user.id, 'password_change', req.auth.family_id);
+
+  res.json({
+    success: true,
+    message: 'Password changed successfully',
+    data: {
+      revoked_sessions: revokedCount
+    }
+  });
+}));
+
+// Get 2FA status
+router.get('/2fa', authenticateToken, asyncHandler(async (req, res) => {
+  const enabled = await twoFactorService.isEnabled(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      enabled,
+      ...(enabled && { recovery_codes_remaining: await twoFactorService.countRecoveryCodes(req.user.id) })
+    }
+  });
+}));
+
+// Start 2FA enrollment: returns the secret and an otpauth:// URI for a QR code
+router.post('/2fa/setup', authenticateToken, asyncHandler(async (req, res) => {
+  const setup = await twoFactorService.beginSetup(req.user);
+
+  if (!setup) {
+    return res.status(409).json({
+      error: 'Already enabled',
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: setup
+  });
+}));
+
+// Confirm enrollment with a code from the authenticator app
+router.post('/2fa/enable', authenticateToken, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('code is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const recoveryCodes = await twoFactorService.confirmSetup(req.user.id, req.body.code);
+
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      error: 'Enable failed',
+      message: 'Invalid code or no pending two-factor setup'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    data: {
+      recovery_codes: recoveryCodes
+    }
+  });
+}));
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', authenticateToken, [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('code is required')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  if (!(await twoFactorService.verifySecondFactor(req.user.id, { code: req.body.code }))) {
+    return res.status(400).json({
+      error: 'Regeneration failed',
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Recovery codes regenerated',
+    data: {
+      recovery_codes: recoveryCodes
+    }
+  });
+}));
+
+// Disable 2FA (requires a TOTP or recovery code, plus the password if the account has one)
+router.post('/2fa/disable', authenticateToken, [
+  body('code')
+    .optional()
+    .isString(),
+  body('recovery_code')
+    .if(body('code').not().exists())
+    .isString()
+    .notEmpty()
+    .withMessage('code or recovery_code is required'),
+  body('password')
+    .optional()
+    .isString()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { code, recovery_code, password } = req.body;
+
+  if (req.user.password_hash && !(await req.user.verifyPassword(password || ''))) {
+    return res.status(400).json({
+      error: 'Disable failed',
+      message: 'Password is incorrect'
+    });
+  }
+
+  if (!(await twoFactorService.verifySecondFactor(req.user.id, { code, recovery_code }))) {
+    return res.status(400).json({
+      error: 'Disable failed',
+      message: 'Invalid two-factor code'
+    });
+  }
+
+  await twoFactorService.disable(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// List logged-in devices
+router.get('/sessions', authenticateToken, asyncHandler(async (req, res) => {
+  const sessions = await UserSession.findActiveByUserId(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(session => {
+        session.current = session.id === req.auth.session_id;
+        return session.toJSON();
+      })
+    }
+  });
+}));
+
+// Log out everywhere else
+router.post('/sessions/revoke-others', authenticateToken, asyncHandler(async (req, res) => {
+  const revokedCount = await UserSession.revokeAllForUser(req.user.id, 'logout', req.auth.family_id);
+
+  res.json({
+    success: true,
+    message: 'Other sessions revoked successfully',
+    data: {
+      revoked_count: revokedCount
+    }
+  });
+}));
+
+// Revoke a single device session
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isInt({ min: 1 }).withMessage('Invalid session ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const session = await UserSession.findById(parseInt(req.params.id));
+
+  if (!session || session.user_id !== req.user.id || session.isRevoked()) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Session not found'
+    });
+  }
+
+  await session.revoke('logout');
+
+  res.json({
+    success: true,
+    message: 'Session revoked successfully'
+  });
+}));
+
+// Delete account. Requires the password, or a login within the last few
+// minutes for accounts without one (Apple, guest). Data is purged after the
+// grace period unless the user cancels.
+router.delete('/account', authenticateToken, [
+  body('password')
+    .optional()
+    .isString(),
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { password, reason } = req.body;
+  const user = req.user;
+
+  let confirmed = false;
+  if (password) {
+    confirmed = await user.verifyPassword(password);
+  } else if (req.auth.login_at) {
+    // When the user signed in, not when the session row was created: a
+    // refresh can create a session for an old token family
+    const loginAgeMs = Date.now() - new Date(req.auth.login_at).getTime();
+    confirmed = loginAgeMs <= DELETION_RECENT_LOGIN_MINUTES * 60 * 1000;
+  }
+
+  if (!confirmed) {
+    return res.status(401).json({
+      error: 'Confirmation required',
+      message: password
+        ? 'Password is incorrect'
+        : `Please provide your password or log in again within ${DELETION_RECENT_LOGIN_MINUTES} minutes before deleting your account`
+    });
+  }
+
+  if (await AccountDeletion.findPendingByUserId(user.id)) {
+    return res.status(409).json({
+      error: 'Deletion already scheduled',
+      message: 'Account deletion is already scheduled'
+    });
+  }
+
+  const deletion = await AccountDeletion.create({
+    user_id: user.id,
+    reason,
+    scheduled_for: new Date(Date.now() + Math.max(DELETION_GRACE_DAYS, 0) * 24 * 60 * 60 * 1000)
+  });
+
+  if (DELETION_GRACE_DAYS <= 0 && await deletion.claim()) {
+    await deletion.purge();
+    return res.json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: {
+        deletion: deletion.toJSON()
+      }
+    });
+  }
+
+  // Sign out every other device while the deletion is pending
+  await UserSession.revokeAllForUser(user.id, 'account_deletion', req.auth.family_id);
+
+  res.status(202).json({
+    success: true,
+    message: `Account deletion scheduled. You can cancel it within ${DELETION_GRACE_DAYS} days.`,
+    data: {
+      deletion: deletion.toJSON()
+    }
+  });
+}));
+
+// Get pending account deletion
+router.get('/account/deletion', authenticateToken, asyncHandler(async (req, res) => {
+  const deletion = await AccountDeletion.findPendingByUserId(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      deletion: deletion ? deletion.toJSON() : null
+    }
+  });
+}));
+
+// Cancel a pending account deletion during the grace period
+router.post('/account/deletion/cancel', authenticateToken, asyncHandler(async (req, res) => {
+  const deletion = await AccountDeletion.findPendingByUserId(req.user.id);
+
+  if (!deletion || !(await deletion.cancel())) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'No pending account deletion'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Account deletion cancelled'
+  });
+}));
+
 // Check if username is available
 router.get('/check-username/:username', asyncHandler(async (req, res) => {
   const { username } = req.params;
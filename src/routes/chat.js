@@ -3,8 +3,11 @@ const { body, param, query, validationResult } = require('express-validator');
 const ChatSession = require('../models/ChatSession');
 const ChatMessage = require('../models/ChatMessage');
 const AnxietyTopic = require('../models/AnxietyTopic');
+const UserActivityLog = require('../models/UserActivityLog');
 const deepseekService = require('../services/deepseekService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { limitUnverified } = require('../middleware/emailVerification');
+const { requireScope } = require('../middleware/authorize');
 
 const router = express.Router();
 
@@ -53,14 +56,24 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Whether the session's topic is in the trash. Trashed topics can't be
+// chatted about until they are restored.
+const isTopicTrashed = async (session) => {
+  if (!session.topic_id) {
+    return false;
+  }
+  const topic = await AnxietyTopic.findById(session.topic_id);
+  return !!topic && topic.isTrashed();
+};
+
 // Create a new chat session
-router.post('/sessions', validateChatSession, handleValidationErrors, asyncHandler(async (req, res) => {
+router.post('/sessions', requireScope('chat:write'), validateChatSession, handleValidationErrors, limitUnverified('chat_start'), asyncHandler(async (req, res) => {
   const { topic_id, title } = req.body;
   const userId = req.user.id;
 
   // Verify topic exists and belongs to user
   const topic = await AnxietyTopic.findById(topic_id);
-  if (!topic) {
+  if (!topic || topic.isTrashed()) {
     return res.status(404).json({
       error: 'Not found',
       message: 'Topic not found'
@@ -83,6 +96,8 @@ router.post('/sessions', validateChatSession, handleValidationErrors, asyncHandl
 
     const sessionWithTopic = await session.getWithTopic();
 
+    await UserActivityLog.record(req, userId, 'chat_start', { session_id: session.id, topic_id });
+
     res.status(201).json({
       success: true,
       message: 'Chat session created successfully',
@@ -101,7 +116,7 @@ router.post('/sessions', validateChatSession, handleValidationErrors, asyncHandl
 }));
 
 // Get user's chat sessions
-router.get('/sessions', validatePagination, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/sessions', requireScope('chat:read'), validatePagination, handleValidationErrors, asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { status, limit = 20, offset = 0 } = req.query;
 
@@ -133,7 +148,7 @@ router.get('/sessions', validatePagination, handleValidationErrors, asyncHandler
 }));
 
 // Get specific chat session
-router.get('/sessions/:sessionId', validateSessionId, handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/sessions/:sessionId', requireScope('chat:read'), validateSessionId, handleValidationErrors, asyncHandler(async (req, res) => {
   const sessionId = parseInt(req.params.sessionId);
   const userId = req.user.id;
 
@@ -164,7 +179,7 @@ router.get('/sessions/:sessionId', validateSessionId, handleValidationErrors, as
 }));
 
 // Update chat session
-router.put('/sessions/:sessionId', [
+router.put('/sessions/:sessionId', requireScope('chat:write'), [
   ...validateSessionId,
   body('title').optional().isLength({ min: 1, max: 200 }).trim(),
   body('status').optional().isIn(['active', 'ended', 'archived'])
@@ -202,7 +217,7 @@ router.put('/sessions/:sessionId', [
 }));
 
 // Send message and get AI response
-router.post('/sessions/:sessionId/messages', [
+router.post('/sessions/:sessionId/messages', requireScope('chat:write'), [
   ...validateSessionId,
   ...validateMessage
 ], handleValidationErrors, asyncHandler(async (req, res) => {
@@ -234,6 +249,13 @@ router.post('/sessions/:sessionId/messages', [
     });
   }
 
+  if (await isTopicTrashed(session)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Topic not found'
+    });
+  }
+
   try {
     // Save user message
     const userMessage = await ChatMessage.create({
@@ -296,7 +318,7 @@ router.post('/sessions/:sessionId/messages', [
 }));
 
 // Get messages for a chat session
-router.get('/sessions/:sessionId/messages', [
+router.get('/sessions/:sessionId/messages', requireScope('chat:read'), [
   ...validateSessionId,
   ...validatePagination
 ], handleValidationErrors, asyncHandler(async (req, res) => {
@@ -341,7 +363,7 @@ router.get('/sessions/:sessionId/messages', [
 }));
 
 // Stream chat response (for real-time chat)
-router.post('/sessions/:sessionId/stream', [
+router.post('/sessions/:sessionId/stream', requireScope('chat:write'), [
   ...validateSessionId,
   ...validateMessage
 ], handleValidationErrors, asyncHandler(async (req, res) => {
@@ -373,6 +395,13 @@ router.post('/sessions/:sessionId/stream', [
     });
   }
 
+  if (await isTopicTrashed(session)) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Topic not found'
+    });
+  }
+
   try {
     // Save user message
     const userMessage = await ChatMessage.create({
@@ -454,7 +483,7 @@ router.post('/sessions/:sessionId/stream', [
 }));
 
 // Search messages
-router.get('/messages/search', [
+router.get('/messages/search', requireScope('chat:read'), [
   query('q').isLength({ min: 1 }).withMessage('Search query is required'),
   ...validatePagination
 ], handleValidationErrors, asyncHandler(async (req, res) => {
@@ -481,7 +510,7 @@ router.get('/messages/search', [
 }));
 
 // Get chat statistics
-router.get('/stats', asyncHandler(async (req, res) => {
+router.get('/stats', requireScope('chat:read'), asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const [sessionStats, messageStats] = await Promise.all([
@@ -499,7 +528,7 @@ router.get('/stats', asyncHandler(async (req, res) => {
 }));
 
 // Archive chat session
-router.post('/sessions/:sessionId/archive', validateSessionId, handleValidationErrors, asyncHandler(async (req, res) => {
+router.post('/sessions/:sessionId/archive', requireScope('chat:write'), validateSessionId, handleValidationErrors, asyncHandler(async (req, res) => {
   const sessionId = parseInt(req.params.sessionId);
   const userId = req.user.id;
 
@@ -531,7 +560,7 @@ router.post('/sessions/:sessionId/archive', validateSessionId, handleValidationE
 }));
 
 // End chat session
-router.post('/sessions/:sessionId/end', validateSessionId, handleValidationErrors, asyncHandler(async (req, res) => {
+router.post('/sessions/:sessionId/end', requireScope('chat:write'), validateSessionId, handleValidationErrors, asyncHandler(async (req, res) => {
   const sessionId = parseInt(req.params.sessionId);
   const userId = req.user.id;
 
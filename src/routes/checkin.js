@@ -0,0 +1,232 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const MoodCheckin = require('../models/MoodCheckin');
+const AnxietyTopic = require('../models/AnxietyTopic');
+const achievementService = require('../services/achievementService');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { requireScope } = require('../middleware/authorize');
+const { isValidTimezone, parseDate, localDate, addDays, daysBetween, weekStart, startOfDay } = require('../utils/timezone');
+const { PERIODS, MAX_RANGE_DAYS, summarize, aggregateCheckins } = require('../utils/checkinStats');
+
+const router = express.Router();
+
+// Clock skew allowed for recorded_at in the future
+const FUTURE_SKEW_MS = 5 * 60 * 1000;
+
+// Validation middleware
+const validateCheckin = [
+  body('mood_score')
+    .isInt(MoodCheckin.MOOD_RANGE)
+    .withMessage(`mood_score must be an integer from ${MoodCheckin.MOOD_RANGE.min} to ${MoodCheckin.MOOD_RANGE.max}`)
+    .toInt(),
+  body('anxiety_level')
+    .isInt(MoodCheckin.ANXIETY_RANGE)
+    .withMessage(`anxiety_level must be an integer from ${MoodCheckin.ANXIETY_RANGE.min} to ${MoodCheckin.ANXIETY_RANGE.max}`)
+    .toInt(),
+  body('note')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('note must not exceed 1000 characters')
+    .trim(),
+  body('tags')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('tags must be an array of at most 10 tags'),
+  body('tags.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each tag must be 1 to 30 characters'),
+  body('topic_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('topic_id must be a positive integer')
+    .toInt(),
+  body('recorded_at')
+    .optional()
+    .isISO8601()
+    .withMessage('recorded_at must be an ISO 8601 date-time')
+    .custom(value => new Date(value).getTime() <= Date.now() + FUTURE_SKEW_MS)
+    .withMessage('recorded_at cannot be in the future')
+];
+
+const validateAggregateQuery = [
+  query('period')
+    .optional()
+    .isIn(PERIODS)
+    .withMessage(`period must be one of: ${PERIODS.join(', ')}`),
+  query(['from', 'to'])
+    .optional()
+    .custom(value => parseDate(value) !== null)
+    .withMessage('from and to must be dates (YYYY-MM-DD)'),
+  query('timezone')
+    .optional()
+    .custom(value => isValidTimezone(value))
+    .withMessage('timezone must be an IANA timezone such as Asia/Shanghai'),
+  query('topic_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('topic_id must be a positive integer')
+];
+
+const validatePagination = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a non-negative integer'),
+  query('topic_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('topic_id must be a positive integer')
+];
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+// Record a check-in, optionally about one of the user's topics
+router.post('/', requireScope('checkins:write'), validateCheckin, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { mood_score, anxiety_level, note, tags = [], topic_id, recorded_at } = req.body;
+  const userId = req.user.id;
+
+  if (topic_id) {
+    const topic = await AnxietyTopic.findById(topic_id);
+
+    if (!topic || topic.isTrashed()) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'Topic not found'
+      });
+    }
+
+    if (topic.user_id !== userId) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'You can only check in on your own topics'
+      });
+    }
+  }
+
+  const checkin = await MoodCheckin.create({
+    user_id: userId,
+    topic_id,
+    mood_score,
+    anxiety_level,
+    note,
+    tags: [...new Set(tags)],
+    recorded_at
+  });
+  const newAchievements = await achievementService.record(req.user, 'checkin_recorded');
+
+  res.status(201).json({
+    success: true,
+    message: 'Check-in recorded',
+    data: {
+      checkin: checkin.toJSON(),
+      new_achievements: newAchievements
+    }
+  });
+}));
+
+// The user's check-ins, most recent first
+router.get('/', requireScope('checkins:read'), validatePagination, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { limit = 20, offset = 0, topic_id } = req.query;
+
+  const checkins = await MoodCheckin.findByUserId(req.user.id, {
+    topic_id: topic_id ? parseInt(topic_id) : null,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      checkins: checkins.map(checkin => checkin.toJSON()),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: checkins.length === parseInt(limit)
+      }
+    }
+  });
+}));
+
+// Check-in averages per day or week. Days are calendar days in the user's
+// timezone (or ?timezone=); from/to default to the last 30 days or 12 weeks.
+router.get('/aggregates', requireScope('checkins:read'), validateAggregateQuery, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { period = 'day', topic_id } = req.query;
+  const timezone = req.query.timezone || req.user.timezone || 'UTC';
+
+  const to = req.query.to || localDate(new Date(), timezone);
+  const from = req.query.from ||
+    (period === 'week' ? addDays(weekStart(to), -7 * 11) : addDays(to, -29));
+
+  if (daysBetween(from, to) < 0) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: 'from must not be after to'
+    });
+  }
+
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `The range can cover at most ${MAX_RANGE_DAYS} days`
+    });
+  }
+
+  // Whole periods: a weekly range starts on the Monday of `from`'s week
+  const rangeStart = period === 'week' ? weekStart(from) : from;
+  const checkins = await MoodCheckin.findInRange(
+    req.user.id,
+    startOfDay(rangeStart, timezone),
+    startOfDay(addDays(to, 1), timezone),
+    { topic_id: topic_id ? parseInt(topic_id) : null }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      period,
+      timezone,
+      from: rangeStart,
+      to,
+      summary: summarize(checkins),
+      buckets: aggregateCheckins(checkins, { period, timezone, from: rangeStart, to })
+    }
+  });
+}));
+
+// Delete a check-in
+router.delete('/:id', requireScope('checkins:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid check-in ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const checkin = await MoodCheckin.findById(parseInt(req.params.id));
+
+  if (!checkin || checkin.user_id !== req.user.id) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Check-in not found'
+    });
+  }
+
+  await checkin.delete();
+
+  res.json({
+    success: true,
+    message: 'Check-in deleted'
+  });
+}));
+
+module.exports = router;
@@ -1,12 +1,31 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const AnxietyTopic = require('../models/AnxietyTopic');
 const AnxietySuggestion = require('../models/AnxietySuggestion');
+const SuggestionBatch = require('../models/SuggestionBatch');
+const SuggestionCollection = require('../models/SuggestionCollection');
+const TopicReminder = require('../models/TopicReminder');
+const TopicStep = require('../models/TopicStep');
+const MoodCheckin = require('../models/MoodCheckin');
+const UserAchievement = require('../models/UserAchievement');
+const UserActivityLog = require('../models/UserActivityLog');
 const deepseekService = require('../services/deepseekService');
+const { SuggestionOutputError } = deepseekService;
+const personaRegistry = require('../services/personaRegistry');
+const experimentService = require('../services/experimentService');
+const personalizationService = require('../services/personalizationService');
+const achievementService = require('../services/achievementService');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { limitUnverified } = require('../middleware/emailVerification');
+const { requireScope } = require('../middleware/authorize');
+const { SCHEDULE_TYPES, TIME_OF_DAY_PATTERN, isValidCron, validateSchedule } = require('../utils/schedule');
+const { isValidTimezone } = require('../utils/timezone');
 
 const router = express.Router();
 
+// How many of the user's latest suggestions new ones must differ from
+const NOVELTY_HISTORY_LIMIT = parseInt(process.env.NOVELTY_HISTORY_LIMIT || '50', 10);
+
 // Validation middleware
 const validateSuggestionRequest = [
   body('title')
@@ -29,8 +48,61 @@ const validateSuggestionRequest = [
     .withMessage('Severity level must be one of: low, medium, high, critical'),
   body('personality')
     .optional()
-    .isIn(['green', 'yellow', 'red'])
-    .withMessage('Personality must be one of: green, yellow, red')
+    .custom(value => personaRegistry.has(value))
+    .withMessage(() => `Personality must be one of: ${personaRegistry.ids().join(', ')}`),
+  body('persona_version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('persona_version must be a positive integer')
+    .toInt()
+    .custom((value, { req }) => personaRegistry.hasVersion(req.body.personality || personaRegistry.defaultPersonaId, value))
+    .withMessage('persona_version does not exist for this personality'),
+  body('reuse_topic')
+    .optional()
+    .isBoolean()
+    .withMessage('reuse_topic must be a boolean')
+    .toBoolean()
+];
+
+const validateRegenerateRequest = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid topic ID'),
+  body('title_context')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('title_context must not exceed 500 characters')
+    .trim(),
+  body('personality')
+    .optional()
+    .custom(value => personaRegistry.has(value))
+    .withMessage(() => `Personality must be one of: ${personaRegistry.ids().join(', ')}`),
+  body('persona_version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('persona_version must be a positive integer')
+    .toInt()
+];
+
+const validateHistoryQuery = [
+  query('type')
+    .optional()
+    .isIn(AnxietySuggestion.SUGGESTION_TYPES)
+    .withMessage(`Type must be one of: ${AnxietySuggestion.SUGGESTION_TYPES.join(', ')}`),
+  query('personality')
+    .optional()
+    .custom(value => personaRegistry.has(value))
+    .withMessage(() => `Personality must be one of: ${personaRegistry.ids().join(', ')}`),
+  query('persona_version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('persona_version must be a positive integer'),
+  query('model')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('model must be between 1 and 100 characters'),
+  query('batch_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('batch_id must be a positive integer')
 ];
 
 const validateFeedback = [
@@ -45,6 +117,30 @@ const validateFeedback = [
     .withMessage('helpful_rating must be between 1 and 5')
 ];
 
+const validatePagination = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('offset must be a non-negative integer')
+];
+
+const validateCollection = [
+  body('name')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+    .trim()
+];
+
 // Helper function to handle validation errors
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -57,78 +153,304 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Generate a batch of suggestions for a topic, then save it and log the
+// request. `history` is the list of earlier suggestions shown to the model;
+// `personalization` comes from personalizationService.buildContext.
+const generateForTopic = async (req, topic, { personality, persona_version, context, history, personalization }) => {
+  const userId = req.user.id;
+
+  // Unless the client pins a version, users take part in the experiment
+  // running for this persona (if any)
+  const assignment = persona_version ? null : await experimentService.assignVariant(userId, personality);
+
+  // New suggestions are checked for repeats against the history, the
+  // user's latest suggestions and the ones they disliked
+  const recent = await AnxietySuggestion.findByUserId(userId, { limit: NOVELTY_HISTORY_LIMIT });
+  const recentSuggestions = [...new Set([
+    ...[...history, ...recent].map(s => s.suggestion_text),
+    ...(personalization ? personalization.avoid_examples : [])
+  ])];
+
+  // Generate suggestions using DeepSeek with personality support
+  const aiResponse = await deepseekService.generateAnxietySuggestions(
+    topic.title,
+    history.map(s => ({
+      suggestion_text: s.suggestion_text,
+      suggestion_type: s.suggestion_type
+    })),
+    personality,
+    context,
+    {
+      version: persona_version || (assignment && assignment.persona_version),
+      recentSuggestions,
+      personalization
+    }
+  );
+
+  if (!aiResponse.success || !aiResponse.suggestions) {
+    throw new Error('Failed to generate suggestions');
+  }
+
+  // Record how this batch was generated
+  const batch = await SuggestionBatch.create({
+    topic_id: topic.id,
+    user_id: userId,
+    personality: aiResponse.personality,
+    persona_version: aiResponse.persona_version,
+    model: aiResponse.model,
+    temperature: aiResponse.temperature,
+    usage: aiResponse.usage
+  });
+
+  // Save suggestions to database. Personas may label items with their own
+  // type (e.g. "green"); that is kept as output_type and only known
+  // suggestion types go into suggestion_type.
+  const suggestionsToCreate = aiResponse.suggestions.map(suggestion => ({
+    topic_id: topic.id,
+    user_id: userId,
+    suggestion_text: suggestion.text,
+    suggestion_type: AnxietySuggestion.SUGGESTION_TYPES.includes(suggestion.type) ? suggestion.type : 'immediate',
+    output_type: suggestion.type || null,
+    novelty_score: suggestion.novelty,
+    batch_id: batch.id,
+    experiment_id: assignment ? assignment.experiment_id : null,
+    experiment_variant: assignment ? assignment.variant : null
+  }));
+
+  const createdSuggestions = await AnxietySuggestion.createMany(suggestionsToCreate);
+
+  await UserActivityLog.record(req, userId, 'suggestion_request', {
+    topic_id: topic.id,
+    batch_id: batch.id,
+    personality: aiResponse.personality,
+    persona_version: aiResponse.persona_version,
+    ...(assignment && { experiment_id: assignment.experiment_id, experiment_variant: assignment.variant })
+  });
+
+  return {
+    suggestions: createdSuggestions.map(s => s.toJSON()),
+    batch: batch.toJSON(),
+    usage: aiResponse.usage,
+    personality: aiResponse.personality,
+    persona_version: aiResponse.persona_version,
+    novelty: {
+      threshold: deepseekService.noveltyThreshold,
+      dropped: aiResponse.dropped_similar
+    },
+    personalization: personalizationService.summarize(personalization)
+  };
+};
+
+// Map a generation failure to a response. `output` names what was being
+// generated ('suggestions' or 'steps').
+const handleGenerationError = (res, error, output = 'suggestions') => {
+  console.error(`Generation error (${output}):`, error);
+
+  if (error instanceof SuggestionOutputError) {
+    return res.status(502).json({
+      error: 'Invalid AI output',
+      message: `The generated ${output} could not be used. Please try again.`,
+      diagnostics: error.diagnostics
+    });
+  }
+
+  if (error.message.includes('DeepSeek')) {
+    return res.status(503).json({
+      error: 'AI service unavailable',
+      message: `Unable to generate ${output} at this time. Please try again later.`
+    });
+  }
+
+  res.status(500).json({
+    error: 'Internal server error',
+    message: `Failed to generate ${output}`
+  });
+};
+
 // Generate anxiety suggestions
-router.post('/', validateSuggestionRequest, handleValidationErrors, asyncHandler(async (req, res) => {
-  const { title, description, title_context, severity_level = 'medium', personality = 'green' } = req.body;
+router.post('/', requireScope('suggestions:generate'), validateSuggestionRequest, handleValidationErrors, limitUnverified('suggestion_request'), asyncHandler(async (req, res) => {
+  const {
+    title,
+    description,
+    title_context,
+    severity_level = 'medium',
+    persona_version,
+    reuse_topic = false
+  } = req.body;
   const userId = req.user.id;
 
   try {
-    // Create or find existing anxiety topic
-    let topic = await AnxietyTopic.create({
-      user_id: userId,
-      title,
-      description,
-      severity_level
-    });
-
-    // Get historical suggestions for this user to provide context
-    const historicalSuggestions = await AnxietySuggestion.findByUserId(userId, { limit: 10 });
-    
-    // Generate suggestions using DeepSeek with personality support
-    const aiResponse = await deepseekService.generateAnxietySuggestions(
-      title,
-      historicalSuggestions.map(s => ({
-        suggestion_text: s.suggestion_text,
-        suggestion_type: s.suggestion_type
-      })),
-      personality,
-      title_context || description
-    );
+    const personalization = await personalizationService.buildContext(req.user);
+
+    // Without an explicit persona, use the one the user likes best. A pinned
+    // persona_version was validated against the default persona, so keep it.
+    const personality = req.body.personality ||
+      (!persona_version && personalization && personalization.favorite_personality) ||
+      personaRegistry.defaultPersonaId;
 
-    if (!aiResponse.success || !aiResponse.suggestions) {
-      throw new Error('Failed to generate suggestions');
+    // With reuse_topic, asking again about the same task continues its
+    // active topic instead of creating a duplicate
+    let topic = reuse_topic ? await AnxietyTopic.findActiveByTitle(userId, title) : null;
+    const topicReused = Boolean(topic);
+
+    if (!topic) {
+      topic = await AnxietyTopic.create({
+        user_id: userId,
+        title,
+        description,
+        severity_level
+      });
     }
 
-    // Save suggestions to database
-    const suggestionsToCreate = aiResponse.suggestions.map(suggestion => ({
-      topic_id: topic.id,
-      user_id: userId,
-      suggestion_text: suggestion.text,
-      suggestion_type: suggestion.type || 'immediate'
-    }));
+    // A reused topic's own suggestions are the history; a new topic gets
+    // the user's recent suggestions for context
+    const history = topicReused
+      ? await AnxietySuggestion.findByTopicId(topic.id, { limit: 10 })
+      : await AnxietySuggestion.findByUserId(userId, { limit: 10 });
 
-    const createdSuggestions = await AnxietySuggestion.createMany(suggestionsToCreate);
+    const generated = await generateForTopic(req, topic, {
+      personality,
+      persona_version,
+      context: title_context || description,
+      history,
+      personalization
+    });
+    const newAchievements = topicReused ? [] : await achievementService.record(req.user, 'topic_created');
 
     res.status(201).json({
       success: true,
       message: 'Suggestions generated successfully',
       data: {
         topic: topic.toJSON(),
-        suggestions: createdSuggestions.map(s => s.toJSON()),
-        usage: aiResponse.usage,
-        personality: aiResponse.personality
+        topic_reused: topicReused,
+        ...generated,
+        new_achievements: newAchievements
       }
     });
 
   } catch (error) {
-    console.error('Suggestion generation error:', error);
-    
-    if (error.message.includes('DeepSeek')) {
-      return res.status(503).json({
-        error: 'AI service unavailable',
-        message: 'Unable to generate suggestions at this time. Please try again later.'
-      });
-    }
-    
-    res.status(500).json({
-      error: 'Internal server error',
-      message: 'Failed to generate suggestions'
+    handleGenerationError(res, error);
+  }
+}));
+
+// The persona a topic is continued in: that of its last batch, else the
+// user's favourite, else the default
+const topicPersonality = async (topic, personalization) => {
+  const lastBatch = await SuggestionBatch.findLatestByTopicId(topic.id);
+  return (lastBatch && personaRegistry.has(lastBatch.personality) && lastBatch.personality) ||
+    (personalization && personalization.favorite_personality) ||
+    personaRegistry.defaultPersonaId;
+};
+
+// Generate a new batch for an existing topic, using the topic's earlier
+// suggestions as history. Defaults to the persona of the topic's last batch.
+router.post('/topics/:id/regenerate', requireScope('suggestions:generate'), validateRegenerateRequest, handleValidationErrors, limitUnverified('suggestion_request'), asyncHandler(async (req, res) => {
+  const topicId = parseInt(req.params.id);
+  const userId = req.user.id;
+  const { title_context, persona_version } = req.body;
+
+  const topic = await AnxietyTopic.findById(topicId);
+
+  if (!topic || topic.isTrashed()) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Topic not found'
+    });
+  }
+
+  if (topic.user_id !== userId) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only access your own topics'
+    });
+  }
+
+  if (topic.status === 'archived') {
+    return res.status(409).json({
+      error: 'Topic archived',
+      message: 'Archived topics cannot be regenerated'
+    });
+  }
+
+  const personalization = await personalizationService.buildContext(req.user);
+  const personality = req.body.personality || await topicPersonality(topic, personalization);
+
+  if (persona_version && !personaRegistry.hasVersion(personality, persona_version)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `persona_version ${persona_version} does not exist for the ${personality} persona`
     });
   }
+
+  try {
+    const history = await AnxietySuggestion.findByTopicId(topic.id, { limit: 10 });
+
+    const generated = await generateForTopic(req, topic, {
+      personality,
+      persona_version,
+      context: title_context || topic.description,
+      history,
+      personalization
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Suggestions regenerated successfully',
+      data: {
+        topic: topic.toJSON(),
+        ...generated
+      }
+    });
+
+  } catch (error) {
+    handleGenerationError(res, error);
+  }
+}));
+
+// List the available personas and their versions
+router.get('/personas', requireScope('suggestions:read'), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      default_personality: personaRegistry.defaultPersonaId,
+      personas: personaRegistry.list()
+    }
+  });
+});
+
+// Learned suggestion preferences and the opt-out switch
+router.get('/personalization', requireScope('suggestions:read'), asyncHandler(async (req, res) => {
+  const preferences = await personalizationService.getPreferences(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      enabled: req.user.personalization_enabled,
+      preferences
+    }
+  });
+}));
+
+// Turn feedback-based personalization on or off
+router.put('/personalization', requireScope('suggestions:write'), [
+  body('enabled')
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+    .toBoolean()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const user = await req.user.update({ personalization_enabled: req.body.enabled });
+
+  res.json({
+    success: true,
+    message: `Personalization ${user.personalization_enabled ? 'enabled' : 'disabled'}`,
+    data: {
+      enabled: user.personalization_enabled
+    }
+  });
 }));
 
 // Get user's anxiety topics
-router.get('/topics', asyncHandler(async (req, res) => {
+router.get('/topics', requireScope('suggestions:read'), asyncHandler(async (req, res) => {
   const userId = req.user.id;
   const { status, limit = 20, offset = 0 } = req.query;
 
@@ -159,14 +481,180 @@ router.get('/topics', asyncHandler(async (req, res) => {
   });
 }));
 
+// Topics in the trash, most recently deleted first
+router.get('/topics/trash', requireScope('suggestions:read'), validatePagination, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+
+  const topics = await AnxietyTopic.findByUserId(req.user.id, {
+    trashed: true,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      topics: topics.map(topic => topic.toJSON()),
+      retention_days: AnxietyTopic.TRASH_RETENTION_DAYS,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: topics.length === parseInt(limit)
+      }
+    }
+  });
+}));
+
+// Archive, resolve or delete (move to the trash) many topics at once. All
+// ids must be the user's topics outside the trash, otherwise nothing changes.
+router.post('/topics/bulk', requireScope('suggestions:write'), [
+  body('action')
+    .isIn(AnxietyTopic.BULK_ACTIONS)
+    .withMessage(`action must be one of: ${AnxietyTopic.BULK_ACTIONS.join(', ')}`),
+  body('topic_ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('topic_ids must be an array of 1 to 100 topic IDs'),
+  body('topic_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Each topic ID must be a positive integer')
+    .toInt()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const { action, topic_ids } = req.body;
+
+  const result = await AnxietyTopic.applyBulkAction(req.user.id, topic_ids, action);
+
+  if (result.missing_ids.length > 0) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Some topics were not found. No topics were changed.',
+      missing_ids: result.missing_ids
+    });
+  }
+
+  const newAchievements = action === 'resolve' && result.updated > 0
+    ? await achievementService.record(req.user, 'topic_resolved')
+    : [];
+
+  res.json({
+    success: true,
+    message: `${result.updated} topic(s) updated`,
+    data: {
+      action,
+      updated: result.updated,
+      new_achievements: newAchievements
+    }
+  });
+}));
+
+// Load the user's topic named by :id (including trashed ones), answering
+// 404/403 otherwise
+const findOwnTopic = async (req, res) => {
+  const topic = await AnxietyTopic.findById(parseInt(req.params.id));
+
+  if (!topic) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Topic not found'
+    });
+    return null;
+  }
+
+  if (topic.user_id !== req.user.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only access your own topics'
+    });
+    return null;
+  }
+
+  return topic;
+};
+
+const validateTopicId = [
+  param('id').isInt({ min: 1 }).withMessage('Invalid topic ID')
+];
+
+// Delete a topic: it moves to the trash with its suggestions and is purged
+// after the retention period unless restored
+router.delete('/topics/:id', requireScope('suggestions:write'), validateTopicId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findOwnTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  if (topic.isTrashed()) {
+    return res.status(409).json({
+      error: 'Topic in trash',
+      message: 'Topic is already in the trash'
+    });
+  }
+
+  const trashedTopic = await topic.trash();
+
+  res.json({
+    success: true,
+    message: 'Topic moved to trash',
+    data: {
+      topic: trashedTopic.toJSON()
+    }
+  });
+}));
+
+// Restore a topic and its suggestions from the trash
+router.post('/topics/:id/restore', requireScope('suggestions:write'), validateTopicId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findOwnTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  if (!topic.isTrashed()) {
+    return res.status(409).json({
+      error: 'Topic not in trash',
+      message: 'Only topics in the trash can be restored'
+    });
+  }
+
+  const restoredTopic = await topic.restore();
+
+  res.json({
+    success: true,
+    message: 'Topic restored',
+    data: {
+      topic: restoredTopic.toJSON()
+    }
+  });
+}));
+
+// Permanently delete a topic from the trash, with its suggestions
+router.delete('/topics/:id/permanent', requireScope('suggestions:write'), validateTopicId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findOwnTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  if (!topic.isTrashed()) {
+    return res.status(409).json({
+      error: 'Topic not in trash',
+      message: 'Move the topic to the trash before deleting it permanently'
+    });
+  }
+
+  await topic.purge();
+
+  res.json({
+    success: true,
+    message: 'Topic permanently deleted'
+  });
+}));
+
 // Get specific topic with suggestions
-router.get('/topics/:id', param('id').isInt({ min: 1 }), handleValidationErrors, asyncHandler(async (req, res) => {
+router.get('/topics/:id', requireScope('suggestions:read'), param('id').isInt({ min: 1 }), handleValidationErrors, asyncHandler(async (req, res) => {
   const topicId = parseInt(req.params.id);
   const userId = req.user.id;
 
   const topic = await AnxietyTopic.findById(topicId);
   
-  if (!topic) {
+  if (!topic || topic.isTrashed()) {
     return res.status(404).json({
       error: 'Not found',
       message: 'Topic not found'
@@ -194,7 +682,7 @@ router.get('/topics/:id', param('id').isInt({ min: 1 }), handleValidationErrors,
 }));
 
 // Update topic
-router.put('/topics/:id', [
+router.put('/topics/:id', requireScope('suggestions:write'), [
   param('id').isInt({ min: 1 }),
   body('title').optional().isLength({ min: 1, max: 200 }).trim(),
   body('description').optional().isLength({ max: 1000 }).trim(),
@@ -207,7 +695,7 @@ router.put('/topics/:id', [
 
   const topic = await AnxietyTopic.findById(topicId);
   
-  if (!topic) {
+  if (!topic || topic.isTrashed()) {
     return res.status(404).json({
       error: 'Not found',
       message: 'Topic not found'
@@ -222,49 +710,492 @@ router.put('/topics/:id', [
   }
 
   const updatedTopic = await topic.update(updateData);
+  const newAchievements = topic.status !== 'resolved' && updatedTopic.status === 'resolved'
+    ? await achievementService.record(req.user, 'topic_resolved')
+    : [];
 
   res.json({
     success: true,
     message: 'Topic updated successfully',
     data: {
-      topic: updatedTopic.toJSON()
+      topic: updatedTopic.toJSON(),
+      new_achievements: newAchievements
     }
   });
 }));
 
-// Get user's suggestions with pagination
-router.get('/history', asyncHandler(async (req, res) => {
-  const userId = req.user.id;
-  const { type, limit = 20, offset = 0 } = req.query;
-
-  const suggestions = await AnxietySuggestion.findWithTopicInfo(userId, {
-    type,
-    limit: parseInt(limit),
-    offset: parseInt(offset)
-  });
+const validateReminder = [
+  body('schedule_type')
+    .optional()
+    .isIn(SCHEDULE_TYPES)
+    .withMessage(`schedule_type must be one of: ${SCHEDULE_TYPES.join(', ')}`),
+  body('run_at')
+    .optional()
+    .isISO8601()
+    .withMessage('run_at must be an ISO 8601 date-time'),
+  body('time_of_day')
+    .optional()
+    .matches(TIME_OF_DAY_PATTERN)
+    .withMessage('time_of_day must be HH:MM (24-hour)'),
+  body('cron_expression')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .custom(value => isValidCron(value))
+    .withMessage('cron_expression must be a 5-field cron expression'),
+  body('timezone')
+    .optional()
+    .custom(value => isValidTimezone(value))
+    .withMessage('timezone must be an IANA timezone such as Asia/Shanghai'),
+  body('message')
+    .optional({ values: 'null' })
+    .isLength({ max: 200 })
+    .withMessage('message must not exceed 200 characters')
+    .trim(),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean')
+    .toBoolean()
+];
 
-  res.json({
-    success: true,
-    data: {
-      suggestions: suggestions.map(s => s.toJSON()),
-      pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        has_more: suggestions.length === parseInt(limit)
-      }
-    }
-  });
-}));
+// Check a complete schedule, answering 400 if it can't be used. A one-off
+// reminder that is enabled must be in the future.
+const checkReminderSchedule = (res, schedule, enabled) => {
+  let problem = validateSchedule(schedule);
+  if (!problem && enabled && schedule.schedule_type === 'once' && new Date(schedule.run_at) <= new Date()) {
+    problem = 'run_at must be in the future';
+  }
 
-// Provide feedback on suggestion
-router.post('/feedback/:id', validateFeedback, handleValidationErrors, asyncHandler(async (req, res) => {
+  if (problem) {
+    res.status(400).json({
+      error: 'Validation failed',
+      message: problem
+    });
+    return false;
+  }
+  return true;
+};
+
+// Load the user's topic named by :id, treating trashed topics as not found
+const findLiveTopic = async (req, res) => {
+  const topic = await findOwnTopic(req, res);
+  if (topic && topic.isTrashed()) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Topic not found'
+    });
+    return null;
+  }
+  return topic;
+};
+
+// Load :reminderId of the given topic, answering 404 otherwise
+const findTopicReminder = async (req, res, topic) => {
+  const reminder = await TopicReminder.findById(parseInt(req.params.reminderId));
+
+  if (!reminder || reminder.topic_id !== topic.id) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Reminder not found'
+    });
+    return null;
+  }
+
+  return reminder;
+};
+
+// List a topic's revisit reminders
+router.get('/topics/:id/reminders', requireScope('suggestions:read'), validateTopicId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const reminders = await TopicReminder.findByTopicId(topic.id);
+
+  res.json({
+    success: true,
+    data: {
+      reminders: reminders.map(reminder => reminder.toJSON())
+    }
+  });
+}));
+
+// Add a revisit reminder to a topic: once (run_at), daily or weekdays
+// (time_of_day) or custom (cron_expression), in the given timezone (default:
+// the user's)
+router.post('/topics/:id/reminders', requireScope('suggestions:write'), validateTopicId, validateReminder, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const { schedule_type, run_at, time_of_day, cron_expression, timezone = req.user.timezone || 'UTC', message, enabled = true } = req.body;
+  const schedule = { schedule_type, run_at, time_of_day, cron_expression, timezone };
+
+  if (!checkReminderSchedule(res, schedule, enabled)) {
+    return;
+  }
+
+  if (await TopicReminder.countByTopicId(topic.id) >= TopicReminder.MAX_PER_TOPIC) {
+    return res.status(409).json({
+      error: 'Too many reminders',
+      message: `A topic can have at most ${TopicReminder.MAX_PER_TOPIC} reminders`
+    });
+  }
+
+  const reminder = await TopicReminder.create({
+    ...schedule,
+    user_id: req.user.id,
+    topic_id: topic.id,
+    message,
+    is_enabled: enabled
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Reminder created',
+    data: {
+      reminder: reminder.toJSON()
+    }
+  });
+}));
+
+// Change a reminder; its next run is worked out again from now
+router.put('/topics/:id/reminders/:reminderId', requireScope('suggestions:write'), [
+  ...validateTopicId,
+  param('reminderId').isInt({ min: 1 }).withMessage('Invalid reminder ID'),
+  ...validateReminder
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const reminder = await findTopicReminder(req, res, topic);
+  if (!reminder) {
+    return;
+  }
+
+  const schedule = reminder.mergeSchedule(req.body);
+  const enabled = req.body.enabled !== undefined ? req.body.enabled : reminder.is_enabled;
+
+  if (!checkReminderSchedule(res, schedule, enabled)) {
+    return;
+  }
+
+  const updatedReminder = await reminder.update({
+    ...req.body,
+    is_enabled: enabled
+  });
+
+  res.json({
+    success: true,
+    message: 'Reminder updated',
+    data: {
+      reminder: updatedReminder.toJSON()
+    }
+  });
+}));
+
+// Delete a reminder
+router.delete('/topics/:id/reminders/:reminderId', requireScope('suggestions:write'), [
+  ...validateTopicId,
+  param('reminderId').isInt({ min: 1 }).withMessage('Invalid reminder ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const reminder = await findTopicReminder(req, res, topic);
+  if (!reminder) {
+    return;
+  }
+
+  await reminder.delete();
+
+  res.json({
+    success: true,
+    message: 'Reminder deleted'
+  });
+}));
+
+// Offer to resolve an active topic once every step of its checklist is done
+const resolveOffer = (topic) => {
+  if (topic.status !== 'active' || !topic.isChecklistComplete()) {
+    return null;
+  }
+
+  return {
+    message: '所有小步骤都完成啦，要把这个主题标记为已解决吗？',
+    status: 'resolved',
+    endpoint: `PUT /api/suggestion/topics/${topic.id}`
+  };
+};
+
+// Load :stepId of the given topic, answering 404 otherwise
+const findTopicStep = async (req, res, topic) => {
+  const step = await TopicStep.findById(parseInt(req.params.stepId));
+
+  if (!step || step.topic_id !== topic.id) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Step not found'
+    });
+    return null;
+  }
+
+  return step;
+};
+
+const validateStepId = [
+  ...validateTopicId,
+  param('stepId').isInt({ min: 1 }).withMessage('Invalid step ID')
+];
+
+// Break a topic into 3-8 micro-steps in a persona's voice and store them as
+// its checklist. A topic that already has steps needs `replace: true`.
+router.post('/topics/:id/breakdown', requireScope('suggestions:generate'), [
+  ...validateRegenerateRequest,
+  body('replace')
+    .optional()
+    .isBoolean()
+    .withMessage('replace must be a boolean')
+    .toBoolean()
+], handleValidationErrors, limitUnverified('step_breakdown'), asyncHandler(async (req, res) => {
+  const { title_context, persona_version, replace = false } = req.body;
+
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  if (topic.status === 'archived') {
+    return res.status(409).json({
+      error: 'Topic archived',
+      message: 'Archived topics cannot be broken down'
+    });
+  }
+
+  if (topic.steps_total > 0 && !replace) {
+    return res.status(409).json({
+      error: 'Steps exist',
+      message: 'Topic already has steps. Pass replace: true to replace them.'
+    });
+  }
+
+  const personalization = await personalizationService.buildContext(req.user);
+  const personality = req.body.personality || await topicPersonality(topic, personalization);
+
+  if (persona_version && !personaRegistry.hasVersion(personality, persona_version)) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      message: `persona_version ${persona_version} does not exist for the ${personality} persona`
+    });
+  }
+
+  try {
+    const aiResponse = await deepseekService.generateMicroSteps(
+      topic.title,
+      title_context || topic.description,
+      personality,
+      { version: persona_version }
+    );
+
+    // Logged before the steps are saved: the log is what the unverified
+    // daily cap counts, and a failure here must leave the checklist as it was
+    await UserActivityLog.record(req, req.user.id, 'step_breakdown', {
+      topic_id: topic.id,
+      personality: aiResponse.personality,
+      persona_version: aiResponse.persona_version,
+      steps: aiResponse.steps.length,
+      usage: aiResponse.usage
+    });
+
+    const steps = await TopicStep.replaceForTopic(topic, aiResponse.steps, {
+      personality: aiResponse.personality,
+      persona_version: aiResponse.persona_version
+    });
+
+    const updatedTopic = await AnxietyTopic.findById(topic.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Topic broken down into steps',
+      data: {
+        topic: updatedTopic.toJSON(),
+        steps: steps.map(step => step.toJSON()),
+        personality: aiResponse.personality,
+        persona_version: aiResponse.persona_version,
+        usage: aiResponse.usage
+      }
+    });
+
+  } catch (error) {
+    handleGenerationError(res, error, 'steps');
+  }
+}));
+
+// A topic's checklist with its progress
+router.get('/topics/:id/steps', requireScope('suggestions:read'), validateTopicId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const steps = await TopicStep.findByTopicId(topic.id);
+
+  res.json({
+    success: true,
+    data: {
+      steps: steps.map(step => step.toJSON()),
+      progress: topic.progress(),
+      resolve_offer: resolveOffer(topic)
+    }
+  });
+}));
+
+// Tick a step off or on again, or edit its text. Once every step is done
+// the response offers to resolve the topic.
+router.put('/topics/:id/steps/:stepId', requireScope('suggestions:write'), [
+  ...validateStepId,
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed must be a boolean')
+    .toBoolean(),
+  body('text')
+    .optional()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('text must be between 1 and 255 characters')
+    .trim()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const step = await findTopicStep(req, res, topic);
+  if (!step) {
+    return;
+  }
+
+  const updatedStep = await step.update({
+    text: req.body.text,
+    completed: req.body.completed
+  });
+  const updatedTopic = await AnxietyTopic.findById(topic.id);
+  const newAchievements = !step.isCompleted() && updatedStep.isCompleted()
+    ? await achievementService.record(req.user, 'step_completed')
+    : [];
+
+  res.json({
+    success: true,
+    message: 'Step updated',
+    data: {
+      step: updatedStep.toJSON(),
+      topic: updatedTopic.toJSON(),
+      resolve_offer: resolveOffer(updatedTopic),
+      new_achievements: newAchievements
+    }
+  });
+}));
+
+// Remove a step from the checklist
+router.delete('/topics/:id/steps/:stepId', requireScope('suggestions:write'), validateStepId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const step = await findTopicStep(req, res, topic);
+  if (!step) {
+    return;
+  }
+
+  await step.delete();
+  const updatedTopic = await AnxietyTopic.findById(topic.id);
+
+  res.json({
+    success: true,
+    message: 'Step deleted',
+    data: {
+      topic: updatedTopic.toJSON(),
+      resolve_offer: resolveOffer(updatedTopic)
+    }
+  });
+}));
+
+// A topic's severity over time, derived from its linked check-ins: each
+// check-in's anxiety level maps to a severity, and `changes` keeps the
+// points where the severity moved
+router.get('/topics/:id/severity-history', requireScope('checkins:read'), validateTopicId, handleValidationErrors, asyncHandler(async (req, res) => {
+  const topic = await findLiveTopic(req, res);
+  if (!topic) {
+    return;
+  }
+
+  const checkins = await MoodCheckin.findByTopicId(topic.id);
+  const history = checkins.map(checkin => ({
+    checkin_id: checkin.id,
+    recorded_at: checkin.recorded_at,
+    mood_score: checkin.mood_score,
+    anxiety_level: checkin.anxiety_level,
+    severity_level: checkin.severityLevel()
+  }));
+
+  res.json({
+    success: true,
+    data: {
+      topic_id: topic.id,
+      severity_level: topic.severity_level,
+      current_severity: history.length > 0 ? history[history.length - 1].severity_level : null,
+      history,
+      changes: history.filter((point, index) => index === 0 || point.severity_level !== history[index - 1].severity_level)
+    }
+  });
+}));
+
+// Get user's suggestions with pagination, filterable by type and by
+// persona, prompt version, model or generation batch
+router.get('/history', requireScope('suggestions:read'), validateHistoryQuery, handleValidationErrors, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { type, personality, persona_version, model, batch_id, limit = 20, offset = 0 } = req.query;
+
+  const suggestions = await AnxietySuggestion.findWithTopicInfo(userId, {
+    type,
+    personality,
+    persona_version: persona_version ? parseInt(persona_version) : null,
+    model,
+    batch_id: batch_id ? parseInt(batch_id) : null,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      suggestions: suggestions.map(s => s.toJSON()),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: suggestions.length === parseInt(limit)
+      }
+    }
+  });
+}));
+
+// Provide feedback on suggestion
+router.post('/feedback/:id', requireScope('suggestions:write'), validateFeedback, handleValidationErrors, asyncHandler(async (req, res) => {
   const suggestionId = parseInt(req.params.id);
   const userId = req.user.id;
   const { is_helpful, helpful_rating } = req.body;
 
   const suggestion = await AnxietySuggestion.findById(suggestionId);
   
-  if (!suggestion) {
+  if (!suggestion || suggestion.deleted_at) {
     return res.status(404).json({
       error: 'Not found',
       message: 'Suggestion not found'
@@ -282,18 +1213,370 @@ router.post('/feedback/:id', validateFeedback, handleValidationErrors, asyncHand
     is_helpful,
     helpful_rating
   });
+  const newAchievements = await achievementService.record(req.user, 'suggestion_rated');
 
   res.json({
     success: true,
     message: 'Feedback recorded successfully',
+    data: {
+      suggestion: updatedSuggestion.toJSON(),
+      new_achievements: newAchievements
+    }
+  });
+}));
+
+// Load the user's suggestion named by `id`, answering 404/403 otherwise
+const findOwnSuggestion = async (req, res, id) => {
+  const suggestion = await AnxietySuggestion.findById(id);
+
+  if (!suggestion || suggestion.deleted_at) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Suggestion not found'
+    });
+    return null;
+  }
+
+  if (suggestion.user_id !== req.user.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only access your own suggestions'
+    });
+    return null;
+  }
+
+  return suggestion;
+};
+
+// Load the user's collection named by `id`, answering 404/403 otherwise
+const findOwnCollection = async (req, res, id) => {
+  const collection = await SuggestionCollection.findById(id);
+
+  if (!collection) {
+    res.status(404).json({
+      error: 'Not found',
+      message: 'Collection not found'
+    });
+    return null;
+  }
+
+  if (collection.user_id !== req.user.id) {
+    res.status(403).json({
+      error: 'Access denied',
+      message: 'You can only access your own collections'
+    });
+    return null;
+  }
+
+  return collection;
+};
+
+// List favorite suggestions, most recently favorited first. Favorites of
+// archived topics are included.
+router.get('/favorites', requireScope('suggestions:read'), validatePagination, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { limit = 20, offset = 0 } = req.query;
+
+  const suggestions = await AnxietySuggestion.findWithTopicInfo(req.user.id, {
+    favorites_only: true,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      suggestions: suggestions.map(s => s.toJSON()),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: suggestions.length === parseInt(limit)
+      }
+    }
+  });
+}));
+
+// A random favorite (optionally from one collection), e.g. for the widget
+router.get('/favorites/random', requireScope('suggestions:read'), [
+  query('collection_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('collection_id must be a positive integer')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const collectionId = req.query.collection_id ? parseInt(req.query.collection_id) : null;
+
+  if (collectionId && !(await findOwnCollection(req, res, collectionId))) {
+    return;
+  }
+
+  const suggestion = await AnxietySuggestion.findRandomFavorite(req.user.id, { collection_id: collectionId });
+
+  res.json({
+    success: true,
+    data: {
+      suggestion: suggestion ? suggestion.toJSON() : null
+    }
+  });
+}));
+
+// Favorite a suggestion
+router.put('/favorites/:id', requireScope('suggestions:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid suggestion ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const suggestion = await findOwnSuggestion(req, res, parseInt(req.params.id));
+  if (!suggestion) {
+    return;
+  }
+
+  const updatedSuggestion = await suggestion.setFavorite(true);
+
+  res.json({
+    success: true,
+    message: 'Suggestion added to favorites',
+    data: {
+      suggestion: updatedSuggestion.toJSON()
+    }
+  });
+}));
+
+// Unfavorite a suggestion (it stays in any collections)
+router.delete('/favorites/:id', requireScope('suggestions:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid suggestion ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const suggestion = await findOwnSuggestion(req, res, parseInt(req.params.id));
+  if (!suggestion) {
+    return;
+  }
+
+  const updatedSuggestion = await suggestion.setFavorite(false);
+
+  res.json({
+    success: true,
+    message: 'Suggestion removed from favorites',
     data: {
       suggestion: updatedSuggestion.toJSON()
     }
   });
 }));
 
+// List the user's collections
+router.get('/collections', requireScope('suggestions:read'), asyncHandler(async (req, res) => {
+  const collections = await SuggestionCollection.findByUserId(req.user.id);
+
+  res.json({
+    success: true,
+    data: {
+      collections: collections.map(collection => collection.toJSON())
+    }
+  });
+}));
+
+// Create a collection
+router.post('/collections', requireScope('suggestions:write'), validateCollection, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (await SuggestionCollection.findByName(req.user.id, name)) {
+    return res.status(409).json({
+      error: 'Collection exists',
+      message: 'You already have a collection with this name'
+    });
+  }
+
+  const collection = await SuggestionCollection.create({
+    user_id: req.user.id,
+    name,
+    description
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created',
+    data: {
+      collection: collection.toJSON()
+    }
+  });
+}));
+
+// Get a collection with its suggestions
+router.get('/collections/:id', requireScope('suggestions:read'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  ...validatePagination
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, parseInt(req.params.id));
+  if (!collection) {
+    return;
+  }
+
+  const { limit = 50, offset = 0 } = req.query;
+  const suggestions = await AnxietySuggestion.findWithTopicInfo(req.user.id, {
+    collection_id: collection.id,
+    limit: parseInt(limit),
+    offset: parseInt(offset)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      collection: collection.toJSON(),
+      suggestions: suggestions.map(s => s.toJSON()),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        has_more: suggestions.length === parseInt(limit)
+      }
+    }
+  });
+}));
+
+// Rename a collection or change its description
+router.put('/collections/:id', requireScope('suggestions:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  body('name')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Name must be between 1 and 100 characters'),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+    .trim()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, parseInt(req.params.id));
+  if (!collection) {
+    return;
+  }
+
+  const { name, description } = req.body;
+
+  if (name && name !== collection.name) {
+    const existing = await SuggestionCollection.findByName(req.user.id, name);
+    if (existing && existing.id !== collection.id) {
+      return res.status(409).json({
+        error: 'Collection exists',
+        message: 'You already have a collection with this name'
+      });
+    }
+  }
+
+  const updatedCollection = await collection.update({ name, description });
+
+  res.json({
+    success: true,
+    message: 'Collection updated',
+    data: {
+      collection: updatedCollection.toJSON()
+    }
+  });
+}));
+
+// Delete a collection (the suggestions and favorites are kept)
+router.delete('/collections/:id', requireScope('suggestions:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, parseInt(req.params.id));
+  if (!collection) {
+    return;
+  }
+
+  await collection.delete();
+
+  res.json({
+    success: true,
+    message: 'Collection deleted'
+  });
+}));
+
+// Add a suggestion to a collection
+router.post('/collections/:id/items', requireScope('suggestions:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  body('suggestion_id')
+    .isInt({ min: 1 })
+    .withMessage('suggestion_id must be a positive integer')
+    .toInt()
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, parseInt(req.params.id));
+  if (!collection) {
+    return;
+  }
+
+  const suggestion = await findOwnSuggestion(req, res, req.body.suggestion_id);
+  if (!suggestion) {
+    return;
+  }
+
+  const added = await collection.addSuggestion(suggestion.id);
+
+  res.status(added ? 201 : 200).json({
+    success: true,
+    message: added ? 'Suggestion added to collection' : 'Suggestion is already in the collection',
+    data: {
+      collection: (await SuggestionCollection.findById(collection.id)).toJSON(),
+      suggestion: suggestion.toJSON()
+    }
+  });
+}));
+
+// Remove a suggestion from a collection
+router.delete('/collections/:id/items/:suggestionId', requireScope('suggestions:write'), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid collection ID'),
+  param('suggestionId').isInt({ min: 1 }).withMessage('Invalid suggestion ID')
+], handleValidationErrors, asyncHandler(async (req, res) => {
+  const collection = await findOwnCollection(req, res, parseInt(req.params.id));
+  if (!collection) {
+    return;
+  }
+
+  if (!(await collection.removeSuggestion(parseInt(req.params.suggestionId)))) {
+    return res.status(404).json({
+      error: 'Not found',
+      message: 'Suggestion is not in this collection'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Suggestion removed from collection'
+  });
+}));
+
+// Export the user's topics, suggestions (with favorites), collections, reminders,
+// steps, check-ins and achievements. An API key needs read access to all of it.
+router.get('/export', requireScope('suggestions:read', 'checkins:read', 'achievements:read'), asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const [topics, suggestions, collections, collectionItems, reminders, steps, checkins, achievements] = await Promise.all([
+    AnxietyTopic.findAllByUserId(userId),
+    AnxietySuggestion.findAllByUserId(userId),
+    SuggestionCollection.findByUserId(userId),
+    SuggestionCollection.getItemIdsByUserId(userId),
+    TopicReminder.findAllByUserId(userId),
+    TopicStep.findAllByUserId(userId),
+    MoodCheckin.findAllByUserId(userId),
+    UserAchievement.findByUserId(userId)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      exported_at: new Date().toISOString(),
+      topics: topics.map(topic => topic.toJSON()),
+      suggestions: suggestions.map(s => s.toJSON()),
+      favorites: suggestions.filter(s => s.favorited_at).map(s => s.id),
+      collections: collections.map(collection => ({
+        ...collection.toJSON(),
+        suggestion_ids: collectionItems[collection.id] || []
+      })),
+      reminders: reminders.map(reminder => reminder.toJSON()),
+      steps: steps.map(step => step.toJSON()),
+      checkins: checkins.map(checkin => checkin.toJSON()),
+      achievements: achievements.map(achievement => achievement.toJSON())
+    }
+  });
+}));
+
 // Get user statistics
-router.get('/stats', asyncHandler(async (req, res) => {
+router.get('/stats', requireScope('suggestions:read'), asyncHandler(async (req, res) => {
   const userId = req.user.id;
 
   const [topicStats, suggestionStats] = await Promise.all([
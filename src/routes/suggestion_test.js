@@ -1,20 +1,36 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const deepseekService = require('../services/deepseekService');
+const { SuggestionOutputError } = deepseekService;
+const personaRegistry = require('../services/personaRegistry');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/authorize');
 
 const router = express.Router();
 
+// Personality (and optional pinned version) must exist in the persona registry
+const validatePersona = [
+  body('personality')
+    .optional()
+    .custom(value => personaRegistry.has(value))
+    .withMessage(() => `Personality must be one of: ${personaRegistry.ids().join(', ')}`),
+  body('persona_version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('persona_version must be a positive integer')
+    .toInt()
+    .custom((value, { req }) => personaRegistry.hasVersion(req.body.personality || personaRegistry.defaultPersonaId, value))
+    .withMessage('persona_version does not exist for this personality')
+];
+
 // Validation middleware (simplified)
 const validateSuggestionRequest = [
   body('title')
     .isLength({ min: 1, max: 200 })
     .withMessage('Title must be between 1 and 200 characters')
     .trim(),
-  body('personality')
-    .optional()
-    .isIn(['green', 'yellow', 'red'])
-    .withMessage('Personality must be one of: green, yellow, red'),
+  ...validatePersona,
   body('title_context')
     .optional()
     .isLength({ max: 500 })
@@ -55,13 +71,13 @@ const handleValidationErrors = (req, res, next) => {
 
 // Generate anxiety suggestions (no auth, no database)
 router.post('/generate', validateSuggestionRequest, handleValidationErrors, asyncHandler(async (req, res) => {
-  const { title, personality = 'green', title_context, description } = req.body;
+  const { title, personality = personaRegistry.defaultPersonaId, persona_version, title_context, description } = req.body;
 
   try {
     console.log(`🎯 生成建议请求: "${title}" (${personality}人格)`);
     
     // Generate suggestions using DeepSeek with personality support (no historical context for simplicity)
-    const aiResponse = await deepseekService.generateAnxietySuggestions(title, [], personality, title_context || description);
+    const aiResponse = await deepseekService.generateAnxietySuggestions(title, [], personality, title_context || description, { version: persona_version });
 
     if (!aiResponse.success || !aiResponse.suggestions) {
       throw new Error('Failed to generate suggestions');
@@ -75,12 +91,21 @@ router.post('/generate', validateSuggestionRequest, handleValidationErrors, asyn
       suggestions: aiResponse.suggestions,
       usage: aiResponse.usage,
       personality: aiResponse.personality,
+      persona_version: aiResponse.persona_version,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('❌ 建议生成错误:', error.message);
     
+    if (error instanceof SuggestionOutputError) {
+      return res.status(502).json({
+        error: 'Invalid AI output',
+        message: 'The generated suggestions could not be used. Please try again.',
+        diagnostics: error.diagnostics
+      });
+    }
+    
     if (error.message.includes('DeepSeek') || error.message.includes('authentication')) {
       return res.status(503).json({
         error: 'AI service unavailable',
@@ -99,13 +124,13 @@ router.post('/generate', validateSuggestionRequest, handleValidationErrors, asyn
 
 // Public suggestion generation endpoint (no authentication required)
 router.post('/public/generate', validateSuggestionRequest, handleValidationErrors, asyncHandler(async (req, res) => {
-  const { title, personality = 'green', history = [], title_context, description } = req.body;
+  const { title, personality = personaRegistry.defaultPersonaId, persona_version, history = [], title_context, description } = req.body;
 
   try {
     console.log(`🌐 公开API建议生成请求: "${title}" (${personality}人格)${history.length > 0 ? ` 带${history.length}条历史记录` : ''}`);
     
     // Generate suggestions using DeepSeek with personality support and history context
-    const aiResponse = await deepseekService.generateAnxietySuggestions(title, history, personality, title_context || description);
+    const aiResponse = await deepseekService.generateAnxietySuggestions(title, history, personality, title_context || description, { version: persona_version });
 
     if (!aiResponse.success || !aiResponse.suggestions) {
       throw new Error('Failed to generate suggestions');
@@ -117,13 +142,24 @@ router.post('/public/generate', validateSuggestionRequest, handleValidationError
       success: true,
       message: 'Public suggestions generated successfully',
       suggestions: aiResponse.suggestions,
-      personality: personality,
+      personality: aiResponse.personality,
+      persona_version: aiResponse.persona_version,
       history_count: history.length,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
     console.error('❌ 公开API建议生成失败:', error);
+
+    if (error instanceof SuggestionOutputError) {
+      return res.status(502).json({
+        success: false,
+        error: 'Invalid AI output',
+        message: 'The generated suggestions could not be used. Please try again.',
+        diagnostics: error.diagnostics
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to generate public suggestions',
@@ -132,9 +168,9 @@ router.post('/public/generate', validateSuggestionRequest, handleValidationError
   }
 }));
 
-// Test endpoint for multiple suggestions with personality testing
-router.post('/test-multiple', asyncHandler(async (req, res) => {
-  const { personality = 'green' } = req.body;
+// Test endpoint for multiple suggestions with personality testing (admin only)
+router.post('/test-multiple', authenticateToken, requirePermission('suggestions:test'), validatePersona, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { personality = personaRegistry.defaultPersonaId, persona_version } = req.body;
   
   const testTopics = [
     '我想减肥',
@@ -151,7 +187,16 @@ router.post('/test-multiple', asyncHandler(async (req, res) => {
     for (const topic of testTopics) {
       console.log(`🧪 测试主题: "${topic}" (${personality}人格)`);
       
-      const aiResponse = await deepseekService.generateAnxietySuggestions(topic, [], personality);
+      let aiResponse;
+      try {
+        aiResponse = await deepseekService.generateAnxietySuggestions(topic, [], personality, '', { version: persona_version });
+      } catch (error) {
+        if (!(error instanceof SuggestionOutputError)) {
+          throw error;
+        }
+        // Unusable output fails this topic only
+        aiResponse = { success: false, diagnostics: error.diagnostics };
+      }
       
       if (aiResponse.success && aiResponse.suggestions) {
         results.push({
@@ -167,6 +212,7 @@ router.post('/test-multiple', asyncHandler(async (req, res) => {
           topic,
           success: false,
           error: 'Failed to generate suggestions',
+          diagnostics: aiResponse.diagnostics,
           personality: personality
         });
         console.log(`❌ "${topic}" - 生成失败 (${personality}人格)`);
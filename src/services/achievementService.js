@@ -0,0 +1,141 @@
+const AnxietyTopic = require('../models/AnxietyTopic');
+const AnxietySuggestion = require('../models/AnxietySuggestion');
+const TopicStep = require('../models/TopicStep');
+const MoodCheckin = require('../models/MoodCheckin');
+const UserAchievement = require('../models/UserAchievement');
+const { ACHIEVEMENTS } = require('../config/achievements');
+const { checkinStreaks } = require('../utils/checkinStats');
+
+// Where metric values come from. A source is loaded once per check, however
+// many metrics read it.
+const SOURCES = {
+  topics: user => AnxietyTopic.getUserStats(user.id),
+  suggestions: user => AnxietySuggestion.getUserStats(user.id),
+  steps: user => TopicStep.countCompletedByUserId(user.id),
+  // Streaks count calendar days in the user's timezone
+  checkins: async (user) => {
+    const times = await MoodCheckin.findRecordedTimesByUserId(user.id);
+    return {
+      total: times.length,
+      timezone: user.timezone || 'UTC',
+      ...checkinStreaks(times, user.timezone || 'UTC')
+    };
+  }
+};
+
+const METRICS = {
+  topics_created: { source: 'topics', value: stats => Number(stats.total_topics) },
+  topics_resolved: { source: 'topics', value: stats => Number(stats.resolved_topics) },
+  suggestions_rated: { source: 'suggestions', value: stats => Number(stats.rated_suggestions) },
+  steps_completed: { source: 'steps', value: count => count },
+  checkins_recorded: { source: 'checkins', value: checkins => checkins.total },
+  // The longest streak, so a streak that has since ended still counts
+  checkin_streak: { source: 'checkins', value: checkins => checkins.longest }
+};
+
+// Unlocks achievements as users act. Routes report what the user just did
+// (an event); the rules listening to it are checked against the user's
+// metrics and the ones reached are unlocked.
+class AchievementService {
+  constructor() {
+    this.rules = ACHIEVEMENTS;
+  }
+
+  async loadSources(user, metricNames) {
+    const sourceNames = [...new Set(metricNames.map(name => METRICS[name].source))];
+    const loaded = await Promise.all(sourceNames.map(name => SOURCES[name](user)));
+
+    return Object.fromEntries(sourceNames.map((name, index) => [name, loaded[index]]));
+  }
+
+  metricValue(sources, metricName) {
+    const metric = METRICS[metricName];
+    return metric.value(sources[metric.source]);
+  }
+
+  // Unlock the rules the user has reached; returns those newly unlocked
+  async unlockReached(user, rules, sources) {
+    const unlocked = [];
+
+    for (const rule of rules) {
+      if (this.metricValue(sources, rule.metric) >= rule.threshold && await UserAchievement.unlock(user.id, rule.key)) {
+        unlocked.push(this.describe(rule, { unlocked_at: new Date() }));
+      }
+    }
+
+    return unlocked;
+  }
+
+  // Check the rules listening to an event the user just caused. Returns the
+  // achievements it unlocked. Errors are logged rather than thrown: an
+  // achievement must never fail the action that earned it.
+  async record(user, event) {
+    try {
+      const unlockedKeys = new Set((await UserAchievement.findByUserId(user.id)).map(a => a.achievement_key));
+      const pending = this.rules.filter(rule => rule.events.includes(event) && !unlockedKeys.has(rule.key));
+
+      if (pending.length === 0) {
+        return [];
+      }
+
+      const sources = await this.loadSources(user, pending.map(rule => rule.metric));
+      return await this.unlockReached(user, pending, sources);
+    } catch (error) {
+      console.error(`Achievement check for ${event} failed:`, error.message);
+      return [];
+    }
+  }
+
+  // Every achievement with the user's progress, and their check-in streak.
+  // Achievements already reached but never unlocked (e.g. earned before they
+  // existed) are unlocked now and listed in new_achievements.
+  async overview(user) {
+    const sources = await this.loadSources(user, Object.keys(METRICS));
+    const achieved = await UserAchievement.findByUserId(user.id);
+    const unlockedKeys = new Set(achieved.map(a => a.achievement_key));
+
+    const newAchievements = await this.unlockReached(
+      user,
+      this.rules.filter(rule => !unlockedKeys.has(rule.key)),
+      sources
+    );
+
+    const unlockedAt = new Map(achieved.map(a => [a.achievement_key, a.unlocked_at]));
+    for (const achievement of newAchievements) {
+      unlockedAt.set(achievement.key, achievement.unlocked_at);
+    }
+
+    const { current, longest, last_checkin_date, timezone } = sources.checkins;
+
+    return {
+      summary: {
+        unlocked: unlockedAt.size,
+        total: this.rules.length
+      },
+      streaks: {
+        checkin: { current, longest, last_checkin_date, timezone }
+      },
+      achievements: this.rules.map(rule => ({
+        ...this.describe(rule, { unlocked_at: unlockedAt.get(rule.key) || null }),
+        progress: {
+          current: Math.min(this.metricValue(sources, rule.metric), rule.threshold),
+          target: rule.threshold
+        }
+      })),
+      new_achievements: newAchievements
+    };
+  }
+
+  describe(rule, { unlocked_at }) {
+    return {
+      key: rule.key,
+      title: rule.title,
+      description: rule.description,
+      category: rule.category,
+      unlocked: Boolean(unlocked_at),
+      unlocked_at
+    };
+  }
+}
+
+module.exports = new AchievementService();
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const APPLE_ISSUER = 'https://appleid.apple.com';
+const PRIVATE_RELAY_DOMAIN = '@privaterelay.appleid.com';
+
+class AppleAuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AppleAuthError';
+    this.statusCode = 401;
+  }
+}
+
+class AppleAuthService {
+  constructor() {
+    // Bundle IDs / Services IDs allowed as audience (comma-separated)
+    this.clientIds = (process.env.APPLE_CLIENT_ID || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+    // Local JWKS file takes precedence over the remote endpoint (useful for tests)
+    this.jwksFile = process.env.APPLE_JWKS_FILE;
+    this.jwksUrl = process.env.APPLE_JWKS_URL || `${APPLE_ISSUER}/auth/keys`;
+    this.cacheTtlMs = 60 * 60 * 1000;
+    // Minimum time between fetch attempts, successful or not
+    this.minRefreshIntervalMs = 60 * 1000;
+    this.keys = new Map();
+    this.fetchedAt = 0;
+    this.lastRefreshAt = 0;
+  }
+
+  async loadJwks() {
+    if (this.jwksFile) {
+      return JSON.parse(await fs.readFile(this.jwksFile, 'utf8'));
+    }
+
+    const response = await axios.get(this.jwksUrl, { timeout: 10000 });
+    return response.data;
+  }
+
+  async refreshKeys() {
+    const jwks = await this.loadJwks();
+    this.keys = new Map(
+      (jwks.keys || []).map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    this.fetchedAt = Date.now();
+  }
+
+  // Find the signing key, re-fetching once if Apple rotated its keys. Apple is
+  // called at most once per interval, so tokens with made-up key IDs (or an
+  // Apple outage) can't make every request wait on a fetch; in between,
+  // unknown key IDs are rejected and the cached keys stay in use.
+  async getKey(kid) {
+    const now = Date.now();
+    const due = !this.keys.has(kid) || now - this.fetchedAt > this.cacheTtlMs;
+
+    if (due && now - this.lastRefreshAt >= this.minRefreshIntervalMs) {
+      this.lastRefreshAt = now;
+      try {
+        await this.refreshKeys();
+      } catch (error) {
+        console.error('Apple JWKS fetch error:', error.message);
+        throw new Error('Unable to load Apple signing keys');
+      }
+    }
+
+    // No keys yet: the last fetch failed moments ago
+    if (this.keys.size === 0) {
+      throw new Error('Unable to load Apple signing keys');
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new AppleAuthError('Unknown identity token signing key');
+    }
+    return key;
+  }
+
+  isPrivateRelayEmail(email) {
+    return typeof email === 'string' && email.toLowerCase().endsWith(PRIVATE_RELAY_DOMAIN);
+  }
+
+  // Verify an Apple identity token. `nonce` is the raw nonce the client
+  // generated; the token carries its SHA-256 hex digest.
+  async verifyIdentityToken(identityToken, { nonce } = {}) {
+    if (this.clientIds.length === 0) {
+      throw new Error('Sign in with Apple is not configured');
+    }
+
+    const decoded = jwt.decode(identityToken, { complete: true });
+    if (!decoded || !decoded.header || !decoded.header.kid) {
+      throw new AppleAuthError('Malformed identity token');
+    }
+
+    const key = await this.getKey(decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(identityToken, key, {
+        algorithms: ['RS256'],
+        issuer: APPLE_ISSUER,
+        audience: this.clientIds
+      });
+    } catch (error) {
+      throw new AppleAuthError(error.name === 'TokenExpiredError'
+        ? 'Identity token expired'
+        : `Invalid identity token: ${error.message}`);
+    }
+
+    const expectedNonce = nonce ? crypto.createHash('sha256').update(nonce).digest('hex') : null;
+    if (!expectedNonce || claims.nonce !== expectedNonce) {
+      throw new AppleAuthError('Identity token nonce mismatch');
+    }
+
+    if (!claims.sub) {
+      throw new AppleAuthError('Identity token has no subject');
+    }
+
+    // Apple sends booleans as strings in some tokens
+    const isTrue = (value) => value === true || value === 'true';
+
+    return {
+      sub: claims.sub,
+      email: claims.email ? claims.email.toLowerCase() : null,
+      email_verified: isTrue(claims.email_verified),
+      is_private_email: isTrue(claims.is_private_email) || this.isPrivateRelayEmail(claims.email)
+    };
+  }
+}
+
+module.exports = new AppleAuthService();
+module.exports.AppleAuthError = AppleAuthError;
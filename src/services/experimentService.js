@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const PromptExperiment = require('../models/PromptExperiment');
+const ExperimentAssignment = require('../models/ExperimentAssignment');
+const AnxietySuggestion = require('../models/AnxietySuggestion');
+const personaRegistry = require('./personaRegistry');
+const { round, wilsonInterval, meanInterval } = require('../utils/stats');
+
+class ExperimentService {
+  // Deterministic bucket in [0, 1) for a user in an experiment, so a first
+  // assignment doesn't depend on request order
+  bucketPoint(experimentId, userId) {
+    const digest = crypto.createHash('sha256').update(`${experimentId}:${userId}`).digest();
+    return digest.readUInt32BE(0) / 0x100000000;
+  }
+
+  // Pick a variant by weight
+  pickVariant(experiment, userId) {
+    const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    let point = this.bucketPoint(experiment.id, userId) * totalWeight;
+
+    for (const variant of experiment.variants) {
+      if (point < variant.weight) {
+        return variant;
+      }
+      point -= variant.weight;
+    }
+    return experiment.variants[experiment.variants.length - 1];
+  }
+
+  // The variant a user gets for a persona, or null if no experiment is
+  // running for it. Returns { experiment_id, variant, persona_version }.
+  async assignVariant(userId, personality) {
+    const experiment = await PromptExperiment.findRunningByPersonality(personality);
+    if (!experiment) {
+      return null;
+    }
+
+    let assignment = await ExperimentAssignment.find(experiment.id, userId);
+    if (!assignment) {
+      assignment = await ExperimentAssignment.assign(experiment.id, userId, this.pickVariant(experiment, userId).key);
+    }
+
+    const variant = experiment.getVariant(assignment.variant_key);
+
+    // A version removed from the registry falls back to the persona default
+    if (!variant || !personaRegistry.hasVersion(personality, variant.persona_version)) {
+      return null;
+    }
+
+    return {
+      experiment_id: experiment.id,
+      variant: variant.key,
+      persona_version: variant.persona_version
+    };
+  }
+
+  // Feedback per variant with 95% confidence intervals. Each suggestion
+  // counts as one observation.
+  async buildReport(experiment) {
+    const [rows, assignedUsers] = await Promise.all([
+      AnxietySuggestion.getExperimentStats(experiment.id),
+      ExperimentAssignment.countByVariant(experiment.id)
+    ]);
+    const statsByVariant = Object.fromEntries(rows.map(row => [row.experiment_variant, row]));
+
+    const variants = experiment.variants.map(variant => {
+      const stats = statsByVariant[variant.key] || {};
+      const helpfulResponses = Number(stats.helpful_responses || 0);
+      const helpfulCount = Number(stats.helpful_count || 0);
+      const ratingCount = Number(stats.rating_count || 0);
+      const ratingMean = stats.rating_mean !== undefined && stats.rating_mean !== null ? Number(stats.rating_mean) : null;
+      const ratingStddev = stats.rating_stddev !== undefined && stats.rating_stddev !== null ? Number(stats.rating_stddev) : null;
+
+      return {
+        key: variant.key,
+        persona_version: variant.persona_version,
+        weight: variant.weight,
+        assigned_users: assignedUsers[variant.key] || 0,
+        users: Number(stats.users || 0),
+        suggestions: Number(stats.suggestions || 0),
+        is_helpful: {
+          responses: helpfulResponses,
+          helpful: helpfulCount,
+          not_helpful: helpfulResponses - helpfulCount,
+          rate: helpfulResponses > 0 ? round(helpfulCount / helpfulResponses) : null,
+          ci95: wilsonInterval(helpfulCount, helpfulResponses)
+        },
+        helpful_rating: {
+          count: ratingCount,
+          mean: ratingMean !== null ? round(ratingMean) : null,
+          stddev: ratingStddev !== null ? round(ratingStddev) : null,
+          ci95: meanInterval(ratingMean, ratingStddev, ratingCount)
+        }
+      };
+    });
+
+    return {
+      experiment: experiment.toJSON(),
+      confidence_level: 0.95,
+      variants
+    };
+  }
+}
+
+module.exports = new ExperimentService();
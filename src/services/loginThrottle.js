@@ -0,0 +1,182 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Keeps counters in process memory (tests, single-instance development)
+class MemoryLoginAttemptStore {
+  constructor() {
+    this.attempts = new Map();
+  }
+
+  async get(key) {
+    return this.attempts.get(key) || null;
+  }
+
+  async recordFailure(key, windowMs) {
+    const now = new Date();
+    const existing = this.attempts.get(key);
+    const windowExpired = !existing || now - existing.first_failure_at > windowMs;
+
+    const record = {
+      attempt_key: key,
+      failures: windowExpired ? 1 : existing.failures + 1,
+      first_failure_at: windowExpired ? now : existing.first_failure_at,
+      last_failure_at: now,
+      locked_until: existing ? existing.locked_until : null
+    };
+    this.attempts.set(key, record);
+    return record;
+  }
+
+  async lock(key, until) {
+    const record = this.attempts.get(key);
+    if (record) {
+      record.locked_until = until;
+    }
+  }
+
+  async reset(key) {
+    this.attempts.delete(key);
+  }
+}
+
+// Keeps counters in the login_attempts table, shared across instances
+class MySqlLoginAttemptStore {
+  async get(key) {
+    return await LoginAttempt.findByKey(key);
+  }
+
+  async recordFailure(key, windowMs) {
+    return await LoginAttempt.recordFailure(key, windowMs);
+  }
+
+  async lock(key, until) {
+    await LoginAttempt.lock(key, until);
+  }
+
+  async reset(key) {
+    await LoginAttempt.reset(key);
+  }
+}
+
+// Failed-login tracking per username and per IP: after a few failures each
+// further attempt has to wait an exponentially growing delay, and past the
+// threshold the key is locked for a while.
+class LoginThrottle {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.windowMs = options.windowMs || 15 * 60 * 1000;
+    this.lockoutMs = options.lockoutMs || 15 * 60 * 1000;
+    this.maxUsernameFailures = options.maxUsernameFailures || 5;
+    this.maxIpFailures = options.maxIpFailures || 20;
+    this.freeAttempts = options.freeAttempts || 2;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 30 * 1000;
+  }
+
+  setStore(store) {
+    this.store = store;
+  }
+
+  usernameKey(username) {
+    return `username:${String(username).trim().toLowerCase()}`;
+  }
+
+  ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  // Delay required after `failures` failed attempts
+  delayFor(failures) {
+    if (failures < this.freeAttempts) {
+      return 0;
+    }
+    return Math.min(this.baseDelayMs * 2 ** (failures - this.freeAttempts), this.maxDelayMs);
+  }
+
+  // Returns null if the attempt may proceed, otherwise { status, retryAfter, reason }
+  async evaluateKey(key, status) {
+    const record = await this.store.get(key);
+    if (!record) {
+      return null;
+    }
+
+    const now = Date.now();
+
+    if (record.locked_until) {
+      const lockedUntil = new Date(record.locked_until).getTime();
+      if (lockedUntil > now) {
+        return { status, reason: 'locked', retryAfter: Math.ceil((lockedUntil - now) / 1000) };
+      }
+      // Lockout served, start over
+      await this.store.reset(key);
+      return null;
+    }
+
+    if (now - new Date(record.first_failure_at).getTime() > this.windowMs) {
+      return null;
+    }
+
+    const nextAllowed = new Date(record.last_failure_at).getTime() + this.delayFor(record.failures);
+    if (nextAllowed > now) {
+      return { status: 429, reason: 'delay', retryAfter: Math.ceil((nextAllowed - now) / 1000) };
+    }
+
+    return null;
+  }
+
+  // Check both keys before verifying credentials
+  async check(username, ip) {
+    return (await this.evaluateKey(this.usernameKey(username), 423)) ||
+      (await this.evaluateKey(this.ipKey(ip), 429));
+  }
+
+  // Record a failed attempt. Returns { usernameLocked, ipLocked, lockedUntil }.
+  async recordFailure(username, ip) {
+    const lockedUntil = new Date(Date.now() + this.lockoutMs);
+    const usernameRecord = await this.store.recordFailure(this.usernameKey(username), this.windowMs);
+    const ipRecord = await this.store.recordFailure(this.ipKey(ip), this.windowMs);
+
+    const usernameLocked = usernameRecord.failures >= this.maxUsernameFailures;
+    const ipLocked = ipRecord.failures >= this.maxIpFailures;
+
+    if (usernameLocked) {
+      await this.store.lock(this.usernameKey(username), lockedUntil);
+    }
+    if (ipLocked) {
+      await this.store.lock(this.ipKey(ip), lockedUntil);
+    }
+
+    return {
+      usernameLocked,
+      ipLocked,
+      failures: usernameRecord.failures,
+      lockedUntil
+    };
+  }
+
+  // Clear the username counter after a successful login. The IP counter is
+  // kept, so one valid account can't be used to reset it.
+  async recordSuccess(username) {
+    await this.store.reset(this.usernameKey(username));
+  }
+}
+
+const createStore = (name) => {
+  switch (name) {
+    case 'memory':
+      return new MemoryLoginAttemptStore();
+    case 'mysql':
+    default:
+      return new MySqlLoginAttemptStore();
+  }
+};
+
+module.exports = new LoginThrottle(createStore(process.env.LOGIN_THROTTLE_STORE || 'mysql'), {
+  windowMs: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+  maxUsernameFailures: parseInt(process.env.LOGIN_MAX_FAILURES_PER_USERNAME) || 5,
+  maxIpFailures: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20,
+  baseDelayMs: parseInt(process.env.LOGIN_DELAY_BASE_MS) || 1000
+});
+module.exports.LoginThrottle = LoginThrottle;
+module.exports.MemoryLoginAttemptStore = MemoryLoginAttemptStore;
+module.exports.MySqlLoginAttemptStore = MySqlLoginAttemptStore;
@@ -0,0 +1,102 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Prints mail to stdout, for local development without SMTP
+class ConsoleTransport {
+  async send(message) {
+    console.log('\n📧 Outgoing mail');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log(message.text);
+    console.log('='.repeat(80));
+    return { accepted: [message.to] };
+  }
+}
+
+// Writes each mail as a JSON file into an outbox directory
+class FileTransport {
+  constructor(outboxDir) {
+    this.outboxDir = outboxDir;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.outboxDir, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(
+      path.join(this.outboxDir, fileName),
+      JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+    );
+    return { accepted: [message.to] };
+  }
+}
+
+// Keeps mail in memory, so tests can read what would have been sent
+class MemoryTransport {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    this.outbox.push({ ...message, sent_at: new Date().toISOString() });
+    return { accepted: [message.to] };
+  }
+}
+
+class Mailer {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'WarpBean <no-reply@warpbean.com>';
+    this.transport = this.createTransport(process.env.MAIL_TRANSPORT || 'console');
+  }
+
+  createTransport(name) {
+    switch (name) {
+      case 'file':
+        return new FileTransport(process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox'));
+      case 'memory':
+        return new MemoryTransport();
+      case 'console':
+      default:
+        return new ConsoleTransport();
+    }
+  }
+
+  // Swap the transport (any object with an async send(message) method)
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      return await this.transport.send({ from: this.from, to, subject, text });
+    } catch (error) {
+      console.error('Mail delivery error:', error.message);
+      throw new Error('Failed to send mail');
+    }
+  }
+
+  async sendEmailVerification(user, token, expiresInHours) {
+    const baseUrl = process.env.EMAIL_VERIFICATION_URL || 'warpbean://verify-email';
+    return await this.send({
+      to: user.email,
+      subject: 'WarpBean 邮箱验证',
+      text: `你好 ${user.full_name || user.username}，\n\n` +
+        '请点击下面的链接验证你的邮箱：\n' +
+        `${baseUrl}?token=${encodeURIComponent(token)}\n\n` +
+        `链接 ${expiresInHours} 小时内有效。如果这不是你本人的操作，请忽略这封邮件。`
+    });
+  }
+
+  async sendPasswordReset(user, code, expiresInMinutes) {
+    return await this.send({
+      to: user.email,
+      subject: 'WarpBean 密码重置验证码',
+      text: `你好 ${user.full_name || user.username}，\n\n` +
+        `你的密码重置验证码是：${code}\n` +
+        `验证码 ${expiresInMinutes} 分钟内有效，且只能使用一次。\n\n` +
+        '如果这不是你本人的操作，请忽略这封邮件。'
+    });
+  }
+}
+
+module.exports = new Mailer();
+module.exports.MemoryTransport = MemoryTransport;
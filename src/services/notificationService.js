@@ -0,0 +1,73 @@
+// Prints notifications to stdout, for local development without a push service
+class ConsoleNotificationChannel {
+  async send(notification) {
+    console.log('\n🔔 Outgoing notification');
+    console.log(`User: ${notification.user_id}`);
+    console.log(`Type: ${notification.type}`);
+    console.log(`${notification.title}\n${notification.body}`);
+    console.log('='.repeat(80));
+    return { accepted: [notification.user_id] };
+  }
+}
+
+// Keeps notifications in memory, so tests can read what would have been sent
+class MemoryNotificationChannel {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(notification) {
+    this.outbox.push({ ...notification, sent_at: new Date().toISOString() });
+    return { accepted: [notification.user_id] };
+  }
+}
+
+// Dispatches user notifications through a channel. A notification is
+// { user_id, type, title, body, data }.
+class NotificationService {
+  constructor() {
+    this.channel = this.createChannel(process.env.NOTIFICATION_CHANNEL || 'console');
+  }
+
+  createChannel(name) {
+    switch (name) {
+      case 'memory':
+        return new MemoryNotificationChannel();
+      case 'console':
+      default:
+        return new ConsoleNotificationChannel();
+    }
+  }
+
+  // Swap the channel (any object with an async send(notification) method),
+  // e.g. an adapter for APNs
+  setChannel(channel) {
+    this.channel = channel;
+  }
+
+  async send(notification) {
+    try {
+      return await this.channel.send(notification);
+    } catch (error) {
+      console.error('Notification delivery error:', error.message);
+      throw new Error(`Failed to send notification: ${error.message}`);
+    }
+  }
+
+  async sendTopicReminder(reminder, topic) {
+    return await this.send({
+      user_id: topic.user_id,
+      type: 'topic_reminder',
+      title: `回来看看：${topic.title}`,
+      body: reminder.message || `还记得「${topic.title}」吗？回来看看现在进展如何，需要的话再拿几条新建议。`,
+      data: {
+        topic_id: topic.id,
+        reminder_id: reminder.id,
+        scheduled_for: reminder.next_run_at
+      }
+    });
+  }
+}
+
+module.exports = new NotificationService();
+module.exports.MemoryNotificationChannel = MemoryNotificationChannel;
@@ -0,0 +1,165 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned persona definitions for suggestion generation. Each file in the
+// persona directory (.js or .json) defines one persona:
+//
+//   {
+//     id, name, description, default_version,
+//     versions: [{ version, system_prompt, temperature, max_tokens, output_schema }]
+//   }
+//
+// Add a version instead of editing a published prompt, so suggestions can be
+// traced back to the exact prompt that produced them.
+class PersonaRegistry {
+  constructor(personaDir) {
+    this.personaDir = personaDir;
+    this.defaultPersonaId = process.env.DEFAULT_PERSONA || 'green';
+    this.personas = new Map();
+    this.load();
+  }
+
+  // (Re)load every definition from the persona directory
+  load() {
+    const personas = new Map();
+    const files = fs.readdirSync(this.personaDir)
+      .filter(file => file.endsWith('.js') || file.endsWith('.json'))
+      .sort();
+
+    for (const file of files) {
+      const filePath = path.join(this.personaDir, file);
+      delete require.cache[require.resolve(filePath)];
+      const persona = this.validate(require(filePath), file);
+
+      if (personas.has(persona.id)) {
+        throw new Error(`Duplicate persona id "${persona.id}" in ${file}`);
+      }
+      personas.set(persona.id, persona);
+    }
+
+    if (!personas.has(this.defaultPersonaId)) {
+      throw new Error(`Default persona "${this.defaultPersonaId}" is not defined`);
+    }
+
+    this.personas = personas;
+  }
+
+  // Check a definition's shape so a broken file fails at startup, not mid-request
+  validate(definition, file) {
+    const fail = (message) => {
+      throw new Error(`Invalid persona definition in ${file}: ${message}`);
+    };
+
+    if (!definition || typeof definition.id !== 'string' || !/^[a-z0-9_-]+$/.test(definition.id)) {
+      fail('id must be a lowercase slug');
+    }
+    if (!Array.isArray(definition.versions) || definition.versions.length === 0) {
+      fail('versions must be a non-empty array');
+    }
+
+    const versions = new Map();
+    for (const version of definition.versions) {
+      if (!Number.isInteger(version.version) || version.version < 1) {
+        fail('version must be a positive integer');
+      }
+      if (versions.has(version.version)) {
+        fail(`duplicate version ${version.version}`);
+      }
+      if (typeof version.system_prompt !== 'string' || version.system_prompt.trim().length === 0) {
+        fail(`version ${version.version} has no system_prompt`);
+      }
+      if (typeof version.temperature !== 'number' || typeof version.max_tokens !== 'number') {
+        fail(`version ${version.version} needs numeric temperature and max_tokens`);
+      }
+      if (!version.output_schema || typeof version.output_schema !== 'object') {
+        fail(`version ${version.version} has no output_schema`);
+      }
+      const schema = version.output_schema;
+      if (!Number.isInteger(schema.item_count) || schema.item_count < 1) {
+        fail(`version ${version.version} output_schema needs a positive item_count`);
+      }
+      if (!Array.isArray(schema.required_fields) || !schema.required_fields.includes(schema.text_field)) {
+        fail(`version ${version.version} output_schema text_field must be one of required_fields`);
+      }
+      if (schema.banned_words !== undefined && !Array.isArray(schema.banned_words)) {
+        fail(`version ${version.version} output_schema banned_words must be an array`);
+      }
+      versions.set(version.version, version);
+    }
+
+    const defaultVersion = definition.default_version || Math.max(...versions.keys());
+    if (!versions.has(defaultVersion)) {
+      fail(`default_version ${defaultVersion} does not exist`);
+    }
+
+    return {
+      id: definition.id,
+      name: definition.name || definition.id,
+      description: definition.description || '',
+      default_version: defaultVersion,
+      versions
+    };
+  }
+
+  ids() {
+    return [...this.personas.keys()];
+  }
+
+  has(id) {
+    return this.personas.has(id);
+  }
+
+  hasVersion(id, version) {
+    const persona = this.personas.get(id);
+    return !!persona && persona.versions.has(version);
+  }
+
+  // The definition used for a generation: the requested version, or the
+  // persona's default. Returns null for unknown personas or versions.
+  resolve(id, version = null) {
+    const persona = this.personas.get(id);
+    if (!persona) {
+      return null;
+    }
+
+    const definition = persona.versions.get(version || persona.default_version);
+    if (!definition) {
+      return null;
+    }
+
+    return {
+      id: persona.id,
+      name: persona.name,
+      description: persona.description,
+      version: definition.version,
+      system_prompt: definition.system_prompt,
+      temperature: definition.temperature,
+      max_tokens: definition.max_tokens,
+      output_schema: definition.output_schema
+    };
+  }
+
+  // Public listing (system prompts are not exposed)
+  list() {
+    return [...this.personas.values()].map(persona => ({
+      id: persona.id,
+      name: persona.name,
+      description: persona.description,
+      default_version: persona.default_version,
+      is_default: persona.id === this.defaultPersonaId,
+      versions: [...persona.versions.values()]
+        .sort((a, b) => a.version - b.version)
+        .map(version => ({
+          version: version.version,
+          temperature: version.temperature,
+          max_tokens: version.max_tokens,
+          output_schema: version.output_schema
+        }))
+    }));
+  }
+}
+
+module.exports = new PersonaRegistry(process.env.PERSONA_DIR
+  ? path.resolve(process.env.PERSONA_DIR)
+  : path.join(__dirname, '..', 'personas'));
+module.exports.PersonaRegistry = PersonaRegistry;
@@ -0,0 +1,82 @@
+const AnxietySuggestion = require('../models/AnxietySuggestion');
+const personaRegistry = require('./personaRegistry');
+
+// Adapts suggestion generation to a user's feedback: liked suggestions become
+// style examples, disliked ones examples to avoid, and the feedback as a whole
+// gives a favourite persona and a preferred length
+class PersonalizationService {
+  constructor() {
+    // Examples of each kind put into the prompt
+    this.exampleLimit = parseInt(process.env.PERSONALIZATION_EXAMPLE_LIMIT || '3', 10);
+    // Rated suggestions needed before a preference is inferred
+    this.minFeedback = parseInt(process.env.PERSONALIZATION_MIN_FEEDBACK || '3', 10);
+  }
+
+  // Preferences learned from feedback. favorite_personality is the persona
+  // with the most positive balance of likes over dislikes; preferred_length
+  // is the average length (in characters) of liked suggestions.
+  async getPreferences(userId) {
+    const rows = (await AnxietySuggestion.getFeedbackByPersonality(userId))
+      .filter(row => personaRegistry.has(row.personality));
+
+    let favorite = null;
+    for (const row of rows) {
+      const balance = row.positive - row.negative;
+      if (row.positive + row.negative < this.minFeedback || balance <= 0) {
+        continue;
+      }
+      if (!favorite || balance > favorite.positive - favorite.negative) {
+        favorite = row;
+      }
+    }
+
+    const liked = rows.filter(row => row.positive_avg_length !== null);
+    const likedCount = liked.reduce((sum, row) => sum + row.positive, 0);
+    const preferredLength = likedCount >= this.minFeedback
+      ? Math.round(liked.reduce((sum, row) => sum + row.positive_avg_length * row.positive, 0) / likedCount)
+      : null;
+
+    return {
+      favorite_personality: favorite ? favorite.personality : null,
+      preferred_length: preferredLength,
+      feedback: rows.map(({ personality, positive, negative }) => ({ personality, positive, negative }))
+    };
+  }
+
+  // Everything generation uses for a user, or null if they opted out
+  async buildContext(user) {
+    if (!user.personalization_enabled) {
+      return null;
+    }
+
+    const [liked, disliked, preferences] = await Promise.all([
+      AnxietySuggestion.findByFeedback(user.id, 'positive', { limit: this.exampleLimit }),
+      AnxietySuggestion.findByFeedback(user.id, 'negative', { limit: this.exampleLimit }),
+      this.getPreferences(user.id)
+    ]);
+
+    return {
+      positive_examples: liked.map(s => s.suggestion_text),
+      avoid_examples: disliked.map(s => s.suggestion_text),
+      favorite_personality: preferences.favorite_personality,
+      preferred_length: preferences.preferred_length
+    };
+  }
+
+  // What was applied to a generation, for the response
+  summarize(context) {
+    if (!context) {
+      return { enabled: false };
+    }
+
+    return {
+      enabled: true,
+      positive_examples: context.positive_examples.length,
+      avoid_examples: context.avoid_examples.length,
+      favorite_personality: context.favorite_personality,
+      preferred_length: context.preferred_length
+    };
+  }
+}
+
+module.exports = new PersonalizationService();
@@ -0,0 +1,70 @@
+// Prints SMS to stdout, for local development without an SMS gateway
+class ConsoleSmsProvider {
+  async send(message) {
+    console.log('\n📱 Outgoing SMS');
+    console.log(`To: ${message.to}`);
+    console.log(message.text);
+    console.log('='.repeat(80));
+    return { accepted: [message.to] };
+  }
+}
+
+// Keeps SMS in memory, so tests can read what would have been sent
+class MemorySmsProvider {
+  constructor() {
+    this.outbox = [];
+  }
+
+  async send(message) {
+    this.outbox.push({ ...message, sent_at: new Date().toISOString() });
+    return { accepted: [message.to] };
+  }
+}
+
+class SmsService {
+  constructor() {
+    this.provider = this.createProvider(process.env.SMS_PROVIDER || 'console');
+  }
+
+  createProvider(name) {
+    switch (name) {
+      case 'memory':
+        return new MemorySmsProvider();
+      case 'console':
+      default:
+        return new ConsoleSmsProvider();
+    }
+  }
+
+  // Swap the provider (any object with an async send({ to, text }) method),
+  // e.g. an adapter for a real SMS gateway
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  async send({ to, text }) {
+    try {
+      return await this.provider.send({ to, text });
+    } catch (error) {
+      console.error('SMS delivery error:', error.message);
+      throw new Error('Failed to send SMS');
+    }
+  }
+
+  async sendLoginCode(phone, code, expiresInMinutes) {
+    return await this.send({
+      to: phone,
+      text: `【WarpBean】你的登录验证码是 ${code}，${expiresInMinutes} 分钟内有效。请勿泄露给他人。`
+    });
+  }
+
+  async sendPhoneVerificationCode(phone, code, expiresInMinutes) {
+    return await this.send({
+      to: phone,
+      text: `【WarpBean】你正在绑定手机号，验证码是 ${code}，${expiresInMinutes} 分钟内有效。如非本人操作请忽略。`
+    });
+  }
+}
+
+module.exports = new SmsService();
+module.exports.MemorySmsProvider = MemorySmsProvider;
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const TwoFactorAuth = require('../models/TwoFactorAuth');
+const TwoFactorRecoveryCode = require('../models/TwoFactorRecoveryCode');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { encrypt, decrypt } = require('../utils/secretBox');
+const { hashCode } = require('../utils/codes');
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are compared without case or dashes ("A1B2-C3D4" == "a1b2c3d4")
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'WarpBean';
+    this.challengeTtlSeconds = parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_SECONDS) || 300;
+    // Clock used for TOTP and challenge tokens; replace with a fixed clock in tests
+    this.now = () => Date.now();
+  }
+
+  setClock(now) {
+    this.now = now;
+  }
+
+  async isEnabled(userId) {
+    const enrollment = await TwoFactorAuth.findByUserId(userId);
+    return !!(enrollment && enrollment.isEnabled());
+  }
+
+  // Start enrollment. Returns null if 2FA is already enabled.
+  async beginSetup(user) {
+    const existing = await TwoFactorAuth.findByUserId(user.id);
+    if (existing && existing.isEnabled()) {
+      return null;
+    }
+
+    const secret = generateSecret();
+    await TwoFactorAuth.createPending(user.id, encrypt(secret));
+
+    return {
+      secret,
+      otpauth_uri: buildOtpauthUri({
+        secret,
+        accountName: user.email || user.username,
+        issuer: this.issuer
+      })
+    };
+  }
+
+  // Check a TOTP code against the user's secret, rejecting replays
+  async verifyTotpCode(enrollment, code) {
+    const step = verifyTotp(decrypt(enrollment.secret_encrypted), code, { timeMs: this.now() });
+    if (step === null) {
+      return false;
+    }
+    return await enrollment.useStep(step);
+  }
+
+  // Confirm enrollment with a first code. Returns the recovery codes, or
+  // null if there is no pending enrollment or the code is wrong.
+  async confirmSetup(userId, code) {
+    const enrollment = await TwoFactorAuth.findByUserId(userId);
+    if (!enrollment || enrollment.isEnabled()) {
+      return null;
+    }
+
+    if (!(await this.verifyTotpCode(enrollment, code))) {
+      return null;
+    }
+
+    await enrollment.enable();
+    return await this.regenerateRecoveryCodes(userId);
+  }
+
+  // Verify a second factor: a TOTP code or a one-time recovery code
+  async verifySecondFactor(userId, { code, recovery_code }) {
+    const enrollment = await TwoFactorAuth.findByUserId(userId);
+    if (!enrollment || !enrollment.isEnabled()) {
+      return false;
+    }
+
+    if (code) {
+      return await this.verifyTotpCode(enrollment, code);
+    }
+
+    if (recovery_code) {
+      return await TwoFactorRecoveryCode.consume(userId, hashCode(normalizeRecoveryCode(recovery_code)));
+    }
+
+    return false;
+  }
+
+  // Issue a fresh set of recovery codes (shown to the user once)
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(8).toString('hex');
+      return `${raw.slice(0, 4)}-${raw.slice(4, 8)}-${raw.slice(8, 12)}-${raw.slice(12)}`;
+    });
+
+    await TwoFactorRecoveryCode.replaceForUser(userId, codes.map(code => hashCode(normalizeRecoveryCode(code))));
+    return codes;
+  }
+
+  async countRecoveryCodes(userId) {
+    return await TwoFactorRecoveryCode.countRemaining(userId);
+  }
+
+  async disable(userId) {
+    const enrollment = await TwoFactorAuth.findByUserId(userId);
+    if (enrollment) {
+      await enrollment.delete();
+    }
+    await TwoFactorRecoveryCode.deleteForUser(userId);
+  }
+
+  // Short-lived token proving the password step passed
+  createChallengeToken(user) {
+    const iat = Math.floor(this.now() / 1000);
+    return jwt.sign(
+      { id: user.id, type: '2fa_challenge', iat, exp: iat + this.challengeTtlSeconds },
+      process.env.JWT_SECRET
+    );
+  }
+
+  // Returns the user id from a challenge token, or null if invalid/expired
+  verifyChallengeToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET, {
+        clockTimestamp: Math.floor(this.now() / 1000)
+      });
+      return decoded.type === '2fa_challenge' ? decoded.id : null;
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = new TwoFactorService();
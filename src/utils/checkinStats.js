@@ -0,0 +1,93 @@
+// Aggregates of mood check-ins over calendar days or weeks in a timezone
+const { round } = require('./stats');
+const { localDate, addDays, daysBetween, weekStart } = require('./timezone');
+
+const PERIODS = ['day', 'week'];
+
+// Longest range (in days) an aggregate query may cover
+const MAX_RANGE_DAYS = 366;
+
+const periodStart = (dateString, period) => (period === 'week' ? weekStart(dateString) : dateString);
+
+const periodDays = (period) => (period === 'week' ? 7 : 1);
+
+const average = (values) => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length, 2) : null);
+
+// Count, average/min/max mood and anxiety, and the most used tags
+const summarize = (checkins) => {
+  const moods = checkins.map(checkin => checkin.mood_score);
+  const anxieties = checkins.map(checkin => checkin.anxiety_level);
+
+  const tagCounts = new Map();
+  for (const checkin of checkins) {
+    for (const tag of checkin.tags) {
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1);
+    }
+  }
+
+  return {
+    count: checkins.length,
+    mood_avg: average(moods),
+    mood_min: moods.length > 0 ? Math.min(...moods) : null,
+    mood_max: moods.length > 0 ? Math.max(...moods) : null,
+    anxiety_avg: average(anxieties),
+    anxiety_min: anxieties.length > 0 ? Math.min(...anxieties) : null,
+    anxiety_max: anxieties.length > 0 ? Math.max(...anxieties) : null,
+    top_tags: [...tagCounts]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, 3)
+      .map(([tag, count]) => ({ tag, count }))
+  };
+};
+
+// One bucket per day or week from `from` to `to` (inclusive 'YYYY-MM-DD'
+// dates in `timezone`), empty periods included, each with its summary
+const aggregateCheckins = (checkins, { period, timezone, from, to }) => {
+  const buckets = new Map();
+  for (let start = periodStart(from, period); start <= to; start = addDays(start, periodDays(period))) {
+    buckets.set(start, []);
+  }
+
+  for (const checkin of checkins) {
+    const key = periodStart(localDate(checkin.recorded_at, timezone), period);
+    if (buckets.has(key)) {
+      buckets.get(key).push(checkin);
+    }
+  }
+
+  return [...buckets].map(([start, items]) => ({
+    period_start: start,
+    period_end: addDays(start, periodDays(period) - 1),
+    ...summarize(items)
+  }));
+};
+
+// Runs of consecutive calendar days with a check-in, in a timezone. The
+// current streak is still alive if the last check-in day is today or
+// yesterday; it only ends once a whole day passes without one.
+const checkinStreaks = (recordedTimes, timezone, now = new Date()) => {
+  const days = [...new Set(recordedTimes.map(time => localDate(time, timezone)))].sort();
+
+  let run = 0;
+  let longest = 0;
+  days.forEach((day, index) => {
+    run = index > 0 && daysBetween(days[index - 1], day) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const lastDay = days.length > 0 ? days[days.length - 1] : null;
+  return {
+    current: lastDay && daysBetween(lastDay, localDate(now, timezone)) <= 1 ? run : 0,
+    longest,
+    last_checkin_date: lastDay
+  };
+};
+
+module.exports = {
+  PERIODS,
+  MAX_RANGE_DAYS,
+  periodStart,
+  summarize,
+  aggregateCheckins,
+  checkinStreaks
+};
@@ -0,0 +1,34 @@
+const crypto = require('crypto');
+
+// Random numeric code for email/SMS delivery (e.g. "048213")
+const generateNumericCode = (length = 6) => {
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += crypto.randomInt(0, 10).toString();
+  }
+  return code;
+};
+
+// Random URL-safe token for links and opaque credentials
+const generateSecureToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+// Keyed hash so short codes can't be brute-forced from a database dump
+const hashCode = (code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET || '')
+  .update(String(code))
+  .digest('hex');
+
+// Constant-time comparison of two hex digests
+const safeEqual = (a, b) => {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+};
+
+module.exports = {
+  generateNumericCode,
+  generateSecureToken,
+  hashCode,
+  safeEqual
+};
@@ -0,0 +1,201 @@
+// Reminder schedules: five-field cron expressions (minute hour day-of-month
+// month day-of-week) evaluated in an IANA timezone, without a cron library.
+// Fields accept `*`, numbers, ranges (`1-5`), steps (`*/15`, `0-30/10`) and
+// lists (`1,15`). Day of week is 0-7 with both 0 and 7 meaning Sunday.
+
+const { zonedParts, zonedTimeToUtc, isValidTimezone } = require('./timezone');
+
+const SCHEDULE_TYPES = ['once', 'daily', 'weekdays', 'custom'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// How far ahead to look for a matching day (covers 29 February schedules)
+const MAX_SEARCH_DAYS = 366 * 8;
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const parseField = (source, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${name} field "${source}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2], 10);
+      end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : start);
+    }
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid ${name} field "${source}": values must be ${min}-${max}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+// Parse a cron expression, throwing on invalid input
+const parseCron = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) => parseField(field, CRON_FIELDS[index]));
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes: [...minutes].sort((a, b) => a - b),
+    hours: [...hours].sort((a, b) => a - b),
+    days,
+    months,
+    weekdays,
+    // As in cron, when both day fields are restricted a day matching either one counts
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*'
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (cron, { year, month, day }) => {
+  if (!cron.months.has(month)) {
+    return false;
+  }
+
+  const dayMatches = cron.days.has(day);
+  const weekdayMatches = cron.weekdays.has(new Date(Date.UTC(year, month - 1, day)).getUTCDay());
+
+  if (cron.daysRestricted && cron.weekdaysRestricted) {
+    return dayMatches || weekdayMatches;
+  }
+  return dayMatches && weekdayMatches;
+};
+
+// First time after `after` that a cron expression fires in a timezone, or
+// null if it never does (e.g. 31 February)
+const nextCronRun = (expression, after = new Date(), timezone = 'UTC') => {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const start = zonedParts(after, timezone);
+
+  for (let offset = 0; offset < MAX_SEARCH_DAYS; offset++) {
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + offset));
+    const day = {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate()
+    };
+
+    if (!matchesDay(cron, day)) {
+      continue;
+    }
+
+    for (const hour of cron.hours) {
+      if (offset === 0 && hour < start.hour) {
+        continue;
+      }
+      for (const minute of cron.minutes) {
+        const candidate = zonedTimeToUtc({ ...day, hour, minute }, timezone);
+        if (candidate > after) {
+          return candidate;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// The cron expression a recurring schedule runs on
+const cronExpressionFor = ({ schedule_type, time_of_day, cron_expression }) => {
+  if (schedule_type === 'custom') {
+    return cron_expression;
+  }
+
+  const [, hour, minute] = TIME_OF_DAY_PATTERN.exec(time_of_day);
+  const weekdays = schedule_type === 'weekdays' ? '1-5' : '*';
+  return `${parseInt(minute, 10)} ${parseInt(hour, 10)} * * ${weekdays}`;
+};
+
+// Check that a schedule has the fields its type needs. Returns an error
+// message, or null if the schedule is usable.
+const validateSchedule = (schedule) => {
+  const { schedule_type, run_at, time_of_day, cron_expression, timezone } = schedule;
+
+  if (!SCHEDULE_TYPES.includes(schedule_type)) {
+    return `schedule_type must be one of: ${SCHEDULE_TYPES.join(', ')}`;
+  }
+  if (!isValidTimezone(timezone)) {
+    return 'timezone must be an IANA timezone such as Asia/Shanghai';
+  }
+
+  switch (schedule_type) {
+    case 'once':
+      if (!run_at || isNaN(new Date(run_at).getTime())) {
+        return 'run_at is required for one-off reminders';
+      }
+      return null;
+    case 'daily':
+    case 'weekdays':
+      if (!TIME_OF_DAY_PATTERN.test(time_of_day || '')) {
+        return `time_of_day (HH:MM) is required for ${schedule_type} reminders`;
+      }
+      return null;
+    case 'custom':
+    default:
+      try {
+        parseCron(cron_expression);
+      } catch (error) {
+        return `cron_expression is invalid: ${error.message}`;
+      }
+      if (!nextCronRun(cron_expression, new Date(), timezone)) {
+        return 'cron_expression never fires';
+      }
+      return null;
+  }
+};
+
+// Next time a schedule fires after `after`, or null if it won't again
+const nextRunAt = (schedule, after = new Date()) => {
+  if (schedule.schedule_type === 'once') {
+    const runAt = new Date(schedule.run_at);
+    return runAt > after ? runAt : null;
+  }
+
+  return nextCronRun(cronExpressionFor(schedule), after, schedule.timezone || 'UTC');
+};
+
+module.exports = {
+  SCHEDULE_TYPES,
+  TIME_OF_DAY_PATTERN,
+  parseCron,
+  isValidCron,
+  nextCronRun,
+  cronExpressionFor,
+  validateSchedule,
+  nextRunAt
+};
@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+// AES-256-GCM for secrets that must be read back (e.g. TOTP seeds).
+// The key comes from SECRET_ENCRYPTION_KEY, falling back to JWT_SECRET.
+const getKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.SECRET_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+  .digest();
+
+// Returns "iv:authTag:ciphertext", all base64
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+const decrypt = (payload) => {
+  const [iv, authTag, ciphertext] = payload.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt
+};
@@ -0,0 +1,75 @@
+// Local text similarity for Chinese and mixed text: Jaccard similarity of
+// character n-grams, so no tokenizer or embedding service is needed.
+const { round } = require('./stats');
+
+// Width-folded, lowercased, with whitespace, punctuation and emoji removed
+const foldText = (text) => String(text || '')
+  .normalize('NFKC')
+  .toLowerCase()
+  .replace(/[\s\p{P}\p{S}]+/gu, '');
+
+// Set of character n-grams (texts shorter than n give themselves)
+const ngrams = (text, n = 2) => {
+  const chars = Array.from(foldText(text));
+  const grams = new Set();
+
+  if (chars.length > 0 && chars.length < n) {
+    grams.add(chars.join(''));
+  }
+  for (let i = 0; i + n <= chars.length; i++) {
+    grams.add(chars.slice(i, i + n).join(''));
+  }
+  return grams;
+};
+
+const jaccard = (a, b) => {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+
+  let shared = 0;
+  for (const gram of a) {
+    if (b.has(gram)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+// For each text, its highest similarity to the corpus or to an earlier text
+// in the list. Returns [{ novelty, similarity, similar_to }] where novelty is
+// 1 - similarity and similar_to is the closest text (or null).
+const scoreNovelty = (texts, corpus = [], n = 2) => {
+  const seen = corpus
+    .filter(text => typeof text === 'string' && text.length > 0)
+    .map(text => ({ text, grams: ngrams(text, n) }));
+
+  return texts.map(text => {
+    const grams = ngrams(text, n);
+    let similarity = 0;
+    let similarTo = null;
+
+    for (const other of seen) {
+      const score = jaccard(grams, other.grams);
+      if (score > similarity) {
+        similarity = score;
+        similarTo = other.text;
+      }
+    }
+
+    seen.push({ text, grams });
+
+    return {
+      novelty: round(1 - similarity, 3),
+      similarity: round(similarity, 3),
+      similar_to: similarTo
+    };
+  });
+};
+
+module.exports = {
+  foldText,
+  ngrams,
+  jaccard,
+  scoreNovelty
+};
@@ -0,0 +1,44 @@
+// Confidence intervals for experiment reports. z = 1.96 gives 95%.
+const Z_95 = 1.96;
+
+const round = (value, digits = 4) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Wilson score interval for a proportion; better behaved than the normal
+// approximation for small samples and rates near 0 or 1
+const wilsonInterval = (successes, total, z = Z_95) => {
+  if (total === 0) {
+    return null;
+  }
+
+  const p = successes / total;
+  const z2 = z * z;
+  const denominator = 1 + z2 / total;
+  const center = (p + z2 / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total))) / denominator;
+
+  return {
+    lower: round(Math.max(0, center - margin)),
+    upper: round(Math.min(1, center + margin))
+  };
+};
+
+// Normal-approximation interval for a mean (needs at least two samples)
+const meanInterval = (mean, stddev, count, z = Z_95) => {
+  if (count < 2 || mean === null || stddev === null) {
+    return null;
+  }
+
+  const margin = z * stddev / Math.sqrt(count);
+
+  return {
+    lower: round(mean - margin),
+    upper: round(mean + margin)
+  };
+};
+
+module.exports = {
+  Z_95,
+  round,
+  wilsonInterval,
+  meanInterval
+};
@@ -0,0 +1,188 @@
+// Validation of LLM suggestion output against a persona's output_schema:
+// { item_count, required_fields, text_field, item_type, text_length: { min, max }, banned_words }.
+// Instead of an exact item_count, a schema may allow a range with min_items/max_items.
+const { scoreNovelty } = require('./similarity');
+
+// Length as the prompts count it: one per character, emoji included
+const textLength = (text) => Array.from(text).length;
+
+// Latin words only match as whole words ("AI" but not "said"); CJK words match anywhere
+const bannedWordPattern = (word) => {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return /^[A-Za-z0-9 ]+$/.test(word)
+    ? new RegExp(`(^|[^A-Za-z0-9])${escaped}($|[^A-Za-z0-9])`, 'i')
+    : new RegExp(escaped);
+};
+
+// The prompts ask for a JSON array, but json_object mode makes the model
+// wrap it in an object, so the first array property is accepted too
+const extractItems = (parsed) => {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && typeof parsed === 'object') {
+    if (Array.isArray(parsed.suggestions)) {
+      return parsed.suggestions;
+    }
+    const arrayValue = Object.values(parsed).find(value => Array.isArray(value));
+    if (arrayValue) {
+      return arrayValue;
+    }
+  }
+  return null;
+};
+
+// Check raw model output. Returns { valid, suggestions, errors } where
+// suggestions are { text, type } and each error is { code, message, index? }.
+const validateSuggestionOutput = (content, schema) => {
+  const errors = [];
+
+  let parsed;
+  try {
+    parsed = JSON.parse(content);
+  } catch (error) {
+    return {
+      valid: false,
+      suggestions: [],
+      errors: [{ code: 'invalid_json', message: `Output is not valid JSON: ${error.message}` }]
+    };
+  }
+
+  const items = extractItems(parsed);
+  if (!items) {
+    return {
+      valid: false,
+      suggestions: [],
+      errors: [{ code: 'not_array', message: 'Output must be a JSON array of suggestions' }]
+    };
+  }
+
+  if (schema.item_count && items.length !== schema.item_count) {
+    errors.push({ code: 'item_count', message: `Expected ${schema.item_count} items, got ${items.length}` });
+  }
+  if ((schema.min_items && items.length < schema.min_items) || (schema.max_items && items.length > schema.max_items)) {
+    errors.push({
+      code: 'item_count',
+      message: `Expected ${schema.min_items || 1}-${schema.max_items || '∞'} items, got ${items.length}`
+    });
+  }
+
+  const requiredFields = schema.required_fields || [];
+  const textField = schema.text_field || 'text';
+  const bannedWords = (schema.banned_words || []).map(word => ({ word, pattern: bannedWordPattern(word) }));
+
+  items.forEach((item, index) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      errors.push({ index, code: 'not_object', message: `Item ${index + 1} must be an object` });
+      return;
+    }
+
+    for (const field of requiredFields) {
+      if (typeof item[field] !== 'string' || item[field].trim().length === 0) {
+        errors.push({ index, code: 'missing_field', message: `Item ${index + 1} is missing "${field}"` });
+      }
+    }
+
+    const text = typeof item[textField] === 'string' ? item[textField].trim() : '';
+    if (!text) {
+      return;
+    }
+
+    const length = textLength(text);
+    const { min, max } = schema.text_length || {};
+    if ((min && length < min) || (max && length > max)) {
+      errors.push({
+        index,
+        code: 'text_length',
+        message: `Item ${index + 1} "${textField}" is ${length} characters, expected ${min || 0}-${max || '∞'}`
+      });
+    }
+
+    const found = bannedWords.filter(({ pattern }) => pattern.test(text)).map(({ word }) => word);
+    if (found.length > 0) {
+      errors.push({
+        index,
+        code: 'banned_word',
+        message: `Item ${index + 1} mentions banned words: ${found.join(', ')}`
+      });
+    }
+  });
+
+  const suggestions = items
+    .filter(item => item && typeof item === 'object' && typeof item[textField] === 'string')
+    .map(item => ({
+      text: item[textField].trim(),
+      type: item.type || schema.item_type || 'immediate'
+    }));
+
+  return {
+    valid: errors.length === 0,
+    suggestions,
+    errors
+  };
+};
+
+// Score each suggestion against recent suggestions (and the ones before it in
+// the batch). Returns the suggestions with a `novelty` score and a
+// too_similar error for each one at or above the similarity threshold.
+const checkNovelty = (suggestions, corpus, threshold) => {
+  const scores = scoreNovelty(suggestions.map(suggestion => suggestion.text), corpus);
+  const errors = [];
+
+  scores.forEach((score, index) => {
+    if (score.similarity >= threshold) {
+      const excerpt = Array.from(score.similar_to).slice(0, 30).join('');
+      errors.push({
+        index,
+        code: 'too_similar',
+        similarity: score.similarity,
+        message: `Item ${index + 1} is too similar (${score.similarity}) to "${excerpt}"`
+      });
+    }
+  });
+
+  return {
+    suggestions: suggestions.map((suggestion, index) => ({ ...suggestion, novelty: scores[index].novelty })),
+    errors
+  };
+};
+
+// Follow-up message asking the model to fix its previous answer
+const buildCorrectionPrompt = (errors, schema) => {
+  const textField = schema.text_field || 'text';
+  let itemCount = schema.item_count || 5;
+  if (schema.max_items) {
+    itemCount = `${schema.min_items || 1}–${schema.max_items}`;
+  } else if (schema.min_items) {
+    itemCount = `至少 ${schema.min_items}`;
+  }
+  const rules = [
+    `输出一个 JSON 数组，包含 ${itemCount} 个对象`,
+    `每个对象包含字段：${(schema.required_fields || [textField]).join('、')}`
+  ];
+  if (schema.text_length) {
+    rules.push(`${textField} 字数在 ${schema.text_length.min}–${schema.text_length.max} 字之间`);
+  }
+  if (schema.banned_words && schema.banned_words.length > 0) {
+    rules.push(`不要出现${schema.banned_words.map(word => `“${word}”`).join('')}等词`);
+  }
+  if (errors.some(error => error.code === 'too_similar')) {
+    rules.push('每条建议都要与历史建议以及彼此之间明显不同，换一个角度和说法');
+  }
+
+  return [
+    '上一次的输出不符合要求：',
+    ...errors.map(error => `- ${error.message}`),
+    '',
+    '请修正后重新输出完整结果：',
+    ...rules.map(rule => `- ${rule}`),
+    '只输出 JSON，不要附加任何说明。'
+  ].join('\n');
+};
+
+module.exports = {
+  textLength,
+  validateSuggestionOutput,
+  checkNovelty,
+  buildCorrectionPrompt
+};
@@ -0,0 +1,126 @@
+// Timezone helpers built on Intl (no timezone library): wall-clock parts of
+// an instant in an IANA timezone, the instant of a wall-clock time, and
+// calendar dates ('YYYY-MM-DD') as seen in a timezone.
+
+const formatters = new Map();
+
+const formatterFor = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone.length === 0) {
+    return false;
+  }
+  try {
+    formatterFor(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Wall-clock date and time of an instant in a timezone
+const zonedParts = (date, timezone) => {
+  const parts = {};
+  for (const { type, value } of formatterFor(timezone).formatToParts(date)) {
+    parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute
+  };
+};
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+const timezoneOffset = (timestamp, timezone) => {
+  const { year, month, day, hour, minute } = zonedParts(new Date(timestamp), timezone);
+  return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(timestamp / 60000) * 60000;
+};
+
+// The instant a wall-clock time occurs in a timezone. Times skipped by a DST
+// change move forward by the size of the change; repeated times give the
+// first occurrence.
+const zonedTimeToUtc = ({ year, month, day, hour, minute }, timezone) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const firstGuess = wallClock - timezoneOffset(wallClock, timezone);
+  const offset = timezoneOffset(firstGuess, timezone);
+  const instant = wallClock - offset;
+
+  // The offset doesn't hold at the result: the time falls in a DST gap
+  if (timezoneOffset(instant, timezone) !== offset) {
+    return new Date(Math.max(instant, firstGuess));
+  }
+  return new Date(instant);
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const formatDate = ({ year, month, day }) => `${year}-${pad(month)}-${pad(day)}`;
+
+// { year, month, day } of a 'YYYY-MM-DD' string, or null if it isn't a real date
+const parseDate = (dateString) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+  if (!match) {
+    return null;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+};
+
+// Calendar date of an instant in a timezone
+const localDate = (date, timezone) => formatDate(zonedParts(new Date(date), timezone));
+
+const addDays = (dateString, days) => {
+  const { year, month, day } = parseDate(dateString);
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return formatDate({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+};
+
+// Whole days from one date to another (negative if `to` is earlier)
+const daysBetween = (from, to) => {
+  const a = parseDate(from);
+  const b = parseDate(to);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / 86400000);
+};
+
+// Monday of the (ISO) week a date falls in
+const weekStart = (dateString) => {
+  const { year, month, day } = parseDate(dateString);
+  const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+  return addDays(dateString, -((weekday + 6) % 7));
+};
+
+// The instant a date begins in a timezone
+const startOfDay = (dateString, timezone) => zonedTimeToUtc({ ...parseDate(dateString), hour: 0, minute: 0 }, timezone);
+
+module.exports = {
+  isValidTimezone,
+  zonedParts,
+  zonedTimeToUtc,
+  parseDate,
+  localDate,
+  addDays,
+  daysBetween,
+  weekStart,
+  startOfDay
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32 alphabet, as used by authenticator apps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded (160 bits as recommended by RFC 4226)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Time step number for a timestamp (ms)
+const timeStep = (timeMs, period = 30) => Math.floor(timeMs / 1000 / period);
+
+// HOTP value for a counter (RFC 4226)
+const hotp = (secret, counter, digits = 6) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+// TOTP code at a given time (RFC 6238)
+const generateTotp = (secret, timeMs = Date.now(), { period = 30, digits = 6 } = {}) =>
+  hotp(secret, timeStep(timeMs, period), digits);
+
+// Check a code, allowing `window` steps of clock drift either way.
+// Returns the matching time step, or null.
+const verifyTotp = (secret, code, { timeMs = Date.now(), window = 1, period = 30, digits = 6 } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== digits) {
+    return null;
+  }
+
+  const currentStep = timeStep(timeMs, period);
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = hotp(secret, currentStep + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI for QR codes
+const buildOtpauthUri = ({ secret, accountName, issuer, period = 30, digits = 6 }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+};
@@ -78,9 +78,16 @@ async function testMultipleTopicsWithPersonality() {
     console.log(`🎭 测试 ${personality.toUpperCase()} 人格的多主题生成...`);
     
     try {
+      // 多主题测试接口仅限管理员，需通过 ADMIN_TOKEN 环境变量传入管理员 access token
       const response = await axios.post(`${BASE_URL}/test-multiple`, {
         personality: personality
-      }, TEST_CONFIG);
+      }, {
+        ...TEST_CONFIG,
+        headers: {
+          ...TEST_CONFIG.headers,
+          'Authorization': `Bearer ${process.env.ADMIN_TOKEN || ''}`
+        }
+      });
       
       if (response.data.success) {
         console.log(`✅ ${personality.toUpperCase()} 人格多主题测试成功`);
@@ -0,0 +1,67 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const UserSession = require('../src/models/UserSession');
+const AccountDeletion = require('../src/models/AccountDeletion');
+const authRoutes = require('../src/routes/auth');
+const { generateToken } = require('../src/middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const MINUTE = 60 * 1000;
+
+// An Apple account: no password, so deletion needs a recent login
+const account = new User({ id: 1, username: 'apple_3f9a', apple_sub: '001234.abcdef', role: 'user' });
+
+const deleteAccount = () => request(app)
+  .delete('/api/auth/account')
+  .set('Authorization', `Bearer ${generateToken(account, 'family-1')}`)
+  .send({});
+
+const withSession = (data) => {
+  UserSession.findByFamilyId.mockResolvedValue(new UserSession({
+    id: 1,
+    user_id: 1,
+    family_id: 'family-1',
+    last_seen_at: new Date(),
+    ...data
+  }));
+};
+
+beforeEach(() => {
+  jest.spyOn(UserSession, 'findByFamilyId');
+  jest.spyOn(UserSession.prototype, 'touch').mockResolvedValue();
+  jest.spyOn(User, 'findById').mockResolvedValue(account);
+  // Confirmed requests stop at "already scheduled", so nothing is deleted
+  jest.spyOn(AccountDeletion, 'findPendingByUserId').mockResolvedValue({ id: 1 });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/auth/account without a password', () => {
+  test('is allowed right after a login', async () => {
+    withSession({ login_at: new Date(), created_at: new Date() });
+
+    expect((await deleteAccount()).status).toBe(409);
+  });
+
+  test('is refused once the login is no longer recent', async () => {
+    withSession({ login_at: new Date(Date.now() - 20 * MINUTE), created_at: new Date(Date.now() - 20 * MINUTE) });
+
+    const res = await deleteAccount();
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('Confirmation required');
+  });
+
+  test('is refused for a session created by a refresh, however new', async () => {
+    withSession({ login_at: null, created_at: new Date() });
+
+    expect((await deleteAccount()).status).toBe(401);
+    expect(AccountDeletion.findPendingByUserId).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const appleAuthService = require('../src/services/appleAuthService');
+const { AppleAuthError } = appleAuthService;
+
+const CLIENT_ID = 'com.example.warpbean';
+const NONCE = 'raw-nonce';
+
+const makeKey = (kid) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  return { kid, privateKey, jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' } };
+};
+
+const oldKey = makeKey('old');
+const newKey = makeKey('new');
+
+const sign = (key, claims = {}, options = {}) => jwt.sign({
+  sub: '001234.abcdef',
+  nonce: crypto.createHash('sha256').update(NONCE).digest('hex'),
+  email: 'Alice@Example.com',
+  email_verified: 'true',
+  ...claims
+}, key.privateKey, {
+  algorithm: 'RS256',
+  keyid: key.kid,
+  issuer: 'https://appleid.apple.com',
+  audience: CLIENT_ID,
+  expiresIn: '10m',
+  ...options
+});
+
+// The key set Apple currently publishes
+let published;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+  published = [oldKey.jwk];
+  appleAuthService.clientIds = [CLIENT_ID];
+  appleAuthService.keys = new Map();
+  appleAuthService.fetchedAt = 0;
+  appleAuthService.lastRefreshAt = 0;
+  jest.spyOn(appleAuthService, 'loadJwks').mockImplementation(async () => ({ keys: published }));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('verifyIdentityToken', () => {
+  test('returns the identity from a valid token', async () => {
+    const identity = await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+
+    expect(identity).toEqual({
+      sub: '001234.abcdef',
+      email: 'alice@example.com',
+      email_verified: true,
+      is_private_email: false
+    });
+  });
+
+  test('flags private relay addresses', async () => {
+    const token = sign(oldKey, { email: 'xyz@privaterelay.appleid.com' });
+
+    const identity = await appleAuthService.verifyIdentityToken(token, { nonce: NONCE });
+
+    expect(identity.is_private_email).toBe(true);
+  });
+
+  test('rejects a token for another audience', async () => {
+    const token = sign(oldKey, {}, { audience: 'com.example.other' });
+
+    await expect(appleAuthService.verifyIdentityToken(token, { nonce: NONCE }))
+      .rejects.toThrow(AppleAuthError);
+  });
+
+  test('rejects a token from another issuer', async () => {
+    const token = sign(oldKey, {}, { issuer: 'https://evil.example.com' });
+
+    await expect(appleAuthService.verifyIdentityToken(token, { nonce: NONCE }))
+      .rejects.toThrow(/Invalid identity token/);
+  });
+
+  test('rejects an expired token', async () => {
+    const token = sign(oldKey, {}, { expiresIn: -10 });
+
+    await expect(appleAuthService.verifyIdentityToken(token, { nonce: NONCE }))
+      .rejects.toThrow('Identity token expired');
+  });
+
+  test('rejects a nonce mismatch', async () => {
+    await expect(appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: 'other' }))
+      .rejects.toThrow('Identity token nonce mismatch');
+  });
+
+  test('rejects a token signed with an unpublished key', async () => {
+    await expect(appleAuthService.verifyIdentityToken(sign(newKey), { nonce: NONCE }))
+      .rejects.toThrow('Unknown identity token signing key');
+  });
+});
+
+describe('signing keys', () => {
+  test('are cached between verifications', async () => {
+    await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+    await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+
+    expect(appleAuthService.loadJwks).toHaveBeenCalledTimes(1);
+  });
+
+  test('are re-fetched when Apple rotates them', async () => {
+    await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+    published = [newKey.jwk];
+    jest.advanceTimersByTime(60 * 1000);
+
+    const identity = await appleAuthService.verifyIdentityToken(sign(newKey), { nonce: NONCE });
+
+    expect(identity.sub).toBe('001234.abcdef');
+    expect(appleAuthService.loadJwks).toHaveBeenCalledTimes(2);
+  });
+
+  test('are re-fetched at most once a minute for unknown key IDs', async () => {
+    await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+    const madeUp = { ...newKey, kid: 'made-up' };
+
+    for (let i = 0; i < 7; i++) {
+      jest.advanceTimersByTime(10 * 1000);
+      await expect(appleAuthService.verifyIdentityToken(sign(madeUp), { nonce: NONCE }))
+        .rejects.toThrow('Unknown identity token signing key');
+    }
+
+    // One fetch for the known key, one once a minute had passed
+    expect(appleAuthService.loadJwks).toHaveBeenCalledTimes(2);
+  });
+
+  test('are refreshed once the cache expires', async () => {
+    await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+    jest.advanceTimersByTime(61 * 60 * 1000);
+
+    await appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE });
+
+    expect(appleAuthService.loadJwks).toHaveBeenCalledTimes(2);
+  });
+
+  test('report a fetch failure without Apple\'s error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    appleAuthService.loadJwks.mockRejectedValue(new Error('ETIMEDOUT'));
+
+    await expect(appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE }))
+      .rejects.toThrow('Unable to load Apple signing keys');
+  });
+
+  test('are not re-fetched on every request while Apple is unreachable', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    appleAuthService.loadJwks.mockRejectedValue(new Error('ETIMEDOUT'));
+
+    for (let i = 0; i < 3; i++) {
+      await expect(appleAuthService.verifyIdentityToken(sign(oldKey), { nonce: NONCE }))
+        .rejects.toThrow('Unable to load Apple signing keys');
+    }
+
+    expect(appleAuthService.loadJwks).toHaveBeenCalledTimes(1);
+  });
+});
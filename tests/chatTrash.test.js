@@ -0,0 +1,50 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const AnxietyTopic = require('../src/models/AnxietyTopic');
+const ChatSession = require('../src/models/ChatSession');
+const ChatMessage = require('../src/models/ChatMessage');
+const deepseekService = require('../src/services/deepseekService');
+const chatRoutes = require('../src/routes/chat');
+
+const user = new User({ id: 1, username: 'alice', email: 'alice@example.com', email_verified_at: new Date(), role: 'user' });
+
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.user = user;
+  next();
+});
+app.use('/api/chat', chatRoutes);
+
+const trashedTopic = new AnxietyTopic({ id: 2, user_id: 1, title: 'Dentist', deleted_at: new Date() });
+
+beforeEach(() => {
+  jest.spyOn(AnxietyTopic, 'findById').mockResolvedValue(trashedTopic);
+  jest.spyOn(ChatSession, 'findById').mockImplementation(async (id) => new ChatSession({ id, user_id: 1, topic_id: id, status: 'active' }));
+  jest.spyOn(ChatSession, 'create').mockImplementation(async (data) => new ChatSession({ id: 9, status: 'active', ...data }));
+  jest.spyOn(ChatMessage, 'create').mockImplementation(async (data) => new ChatMessage({ id: 1, ...data }));
+  jest.spyOn(deepseekService, 'generateChatResponse');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('chat about a trashed topic', () => {
+  test('cannot start a session', async () => {
+    const res = await request(app).post('/api/chat/sessions').send({ topic_id: 2, title: 'Talk' });
+
+    expect(res.status).toBe(404);
+    expect(ChatSession.create).not.toHaveBeenCalled();
+  });
+
+  test.each(['messages', 'stream'])('cannot post to an existing session (%s)', async (endpoint) => {
+    const res = await request(app).post(`/api/chat/sessions/2/${endpoint}`).send({ content: 'Hello' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Topic not found');
+    expect(ChatMessage.create).not.toHaveBeenCalled();
+    expect(deepseekService.generateChatResponse).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,95 @@
+const { summarize, aggregateCheckins, checkinStreaks } = require('../src/utils/checkinStats');
+
+const checkin = (recorded_at, mood_score, anxiety_level, tags = []) => ({ recorded_at, mood_score, anxiety_level, tags });
+
+describe('summarize', () => {
+  test('averages scores and ranks tags', () => {
+    expect(summarize([
+      checkin('2026-10-19T08:00:00Z', 3, 7, ['work', 'sleep']),
+      checkin('2026-10-19T20:00:00Z', 4, 5, ['work']),
+      checkin('2026-10-19T22:00:00Z', 8, 2, ['family'])
+    ])).toEqual({
+      count: 3,
+      mood_avg: 5,
+      mood_min: 3,
+      mood_max: 8,
+      anxiety_avg: 4.67,
+      anxiety_min: 2,
+      anxiety_max: 7,
+      top_tags: [{ tag: 'work', count: 2 }, { tag: 'family', count: 1 }, { tag: 'sleep', count: 1 }]
+    });
+  });
+
+  test('reports empty periods with nulls', () => {
+    expect(summarize([])).toMatchObject({ count: 0, mood_avg: null, mood_min: null, anxiety_max: null, top_tags: [] });
+  });
+});
+
+describe('aggregateCheckins', () => {
+  test('buckets by calendar day in the timezone, empty days included', () => {
+    const buckets = aggregateCheckins([
+      // 20 October in Shanghai
+      checkin('2026-10-19T17:00:00Z', 6, 3),
+      checkin('2026-10-21T02:00:00Z', 4, 5)
+    ], { period: 'day', timezone: 'Asia/Shanghai', from: '2026-10-19', to: '2026-10-21' });
+
+    expect(buckets.map(bucket => [bucket.period_start, bucket.count])).toEqual([
+      ['2026-10-19', 0],
+      ['2026-10-20', 1],
+      ['2026-10-21', 1]
+    ]);
+  });
+
+  test('buckets by ISO week starting on Monday', () => {
+    const buckets = aggregateCheckins([
+      checkin('2026-10-21T12:00:00Z', 6, 3),
+      checkin('2026-10-27T12:00:00Z', 4, 5)
+    ], { period: 'week', timezone: 'UTC', from: '2026-10-22', to: '2026-10-31' });
+
+    expect(buckets.map(bucket => [bucket.period_start, bucket.period_end, bucket.count])).toEqual([
+      ['2026-10-19', '2026-10-25', 1],
+      ['2026-10-26', '2026-11-01', 1]
+    ]);
+  });
+});
+
+describe('checkinStreaks', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test('counts consecutive days, not check-ins', () => {
+    const times = ['2026-10-17T08:00:00Z', '2026-10-17T21:00:00Z', '2026-10-18T08:00:00Z', '2026-10-19T08:00:00Z'];
+
+    expect(checkinStreaks(times, 'UTC', now)).toEqual({ current: 3, longest: 3, last_checkin_date: '2026-10-19' });
+  });
+
+  test('keeps the current streak alive until a whole day is missed', () => {
+    const times = ['2026-10-17T08:00:00Z', '2026-10-18T08:00:00Z'];
+
+    expect(checkinStreaks(times, 'UTC', now).current).toBe(2);
+    expect(checkinStreaks(times, 'UTC', new Date('2026-10-20T12:00:00Z')).current).toBe(0);
+  });
+
+  test('remembers the longest streak after it ends', () => {
+    const times = ['2026-10-01T08:00:00Z', '2026-10-02T08:00:00Z', '2026-10-03T08:00:00Z', '2026-10-19T08:00:00Z'];
+
+    expect(checkinStreaks(times, 'UTC', now)).toEqual({ current: 1, longest: 3, last_checkin_date: '2026-10-19' });
+  });
+
+  test('uses calendar days in the timezone', () => {
+    // One UTC day, but 18 and 19 October in Shanghai
+    const times = ['2026-10-18T15:00:00Z', '2026-10-18T17:00:00Z'];
+
+    expect(checkinStreaks(times, 'UTC', now).longest).toBe(1);
+    expect(checkinStreaks(times, 'Asia/Shanghai', now).longest).toBe(2);
+  });
+
+  test('counts days across a DST change', () => {
+    const times = ['2026-03-07T15:00:00Z', '2026-03-08T15:00:00Z', '2026-03-09T15:00:00Z'];
+
+    expect(checkinStreaks(times, 'America/New_York', new Date('2026-03-09T20:00:00Z')).current).toBe(3);
+  });
+
+  test('has no streak without check-ins', () => {
+    expect(checkinStreaks([], 'UTC', now)).toEqual({ current: 0, longest: 0, last_checkin_date: null });
+  });
+});
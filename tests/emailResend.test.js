@@ -0,0 +1,68 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const UserSession = require('../src/models/UserSession');
+const EmailVerification = require('../src/models/EmailVerification');
+const mailer = require('../src/services/mailer');
+const authRoutes = require('../src/routes/auth');
+const { generateToken } = require('../src/middleware/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+let account;
+let transport;
+let originalTransport;
+
+const resend = (user) => request(app)
+  .post('/api/auth/email/resend')
+  .set('Authorization', `Bearer ${generateToken(user, 'family-1')}`);
+
+beforeEach(() => {
+  originalTransport = mailer.transport;
+  transport = new mailer.MemoryTransport();
+  mailer.setTransport(transport);
+
+  jest.spyOn(UserSession, 'findByFamilyId').mockResolvedValue({ isRevoked: () => false, touch: async () => {} });
+  jest.spyOn(User, 'findById').mockImplementation(async () => account);
+  jest.spyOn(EmailVerification, 'findLatestByUserId').mockResolvedValue(null);
+  jest.spyOn(EmailVerification, 'countSince').mockResolvedValue(0);
+  jest.spyOn(EmailVerification, 'create').mockImplementation(async (data) => new EmailVerification({ id: 1, ...data }));
+});
+
+afterEach(() => {
+  mailer.setTransport(originalTransport);
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/email/resend', () => {
+  test('mails an unverified account a new link', async () => {
+    account = new User({ id: 1, username: 'alice', email: 'alice@example.com', role: 'user' });
+
+    const res = await resend(account);
+
+    expect(res.status).toBe(200);
+    expect(transport.outbox.map(message => message.to)).toEqual(['alice@example.com']);
+  });
+
+  test('rejects guests, who have no email', async () => {
+    account = new User({ id: 2, username: 'guest_1a2b', is_guest: true, role: 'user' });
+
+    const res = await resend(account);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('No email');
+    expect(EmailVerification.create).not.toHaveBeenCalled();
+    expect(transport.outbox).toHaveLength(0);
+  });
+
+  test('rejects Apple accounts that did not share an email', async () => {
+    account = new User({ id: 3, username: 'apple_3f9a', apple_sub: '001234.abcdef', role: 'user' });
+
+    const res = await resend(account);
+
+    expect(res.status).toBe(400);
+    expect(EmailVerification.findLatestByUserId).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+const { LoginThrottle, MemoryLoginAttemptStore } = require('../src/services/loginThrottle');
+
+const MINUTE = 60 * 1000;
+let throttle;
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z') });
+  throttle = new LoginThrottle(new MemoryLoginAttemptStore(), {
+    windowMs: 15 * MINUTE,
+    lockoutMs: 15 * MINUTE,
+    maxUsernameFailures: 5,
+    maxIpFailures: 8,
+    freeAttempts: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 4000
+  });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+// Fail a login, then wait out the delay it earned
+const failAndWait = async (username, ip) => {
+  const result = await throttle.recordFailure(username, ip);
+  jest.advanceTimersByTime(throttle.delayFor(result.failures));
+  return result;
+};
+
+describe('delayFor', () => {
+  test('allows the free attempts, then doubles up to the cap', () => {
+    expect([0, 1, 2, 3, 4, 5, 6].map(failures => throttle.delayFor(failures)))
+      .toEqual([0, 0, 1000, 2000, 4000, 4000, 4000]);
+  });
+});
+
+describe('check', () => {
+  test('lets a fresh username and IP through', async () => {
+    expect(await throttle.check('alice', '10.0.0.1')).toBeNull();
+  });
+
+  test('asks for the growing delay between failures', async () => {
+    await throttle.recordFailure('alice', '10.0.0.1');
+    expect(await throttle.check('alice', '10.0.0.1')).toBeNull();
+
+    await throttle.recordFailure('alice', '10.0.0.1');
+    expect(await throttle.check('alice', '10.0.0.1')).toEqual({ status: 429, reason: 'delay', retryAfter: 1 });
+
+    jest.advanceTimersByTime(1000);
+    expect(await throttle.check('alice', '10.0.0.1')).toBeNull();
+  });
+
+  test('locks the username after too many failures', async () => {
+    let result;
+    for (let i = 0; i < 5; i++) {
+      result = await failAndWait('alice', '10.0.0.1');
+    }
+
+    expect(result.usernameLocked).toBe(true);
+    expect(await throttle.check('Alice ', '10.0.0.2')).toEqual({ status: 423, reason: 'locked', retryAfter: 15 * 60 - 4 });
+  });
+
+  test('locks the IP after too many failures across usernames', async () => {
+    let result;
+    for (let i = 0; i < 8; i++) {
+      result = await failAndWait(`user${i}`, '10.0.0.1');
+    }
+
+    expect(result.ipLocked).toBe(true);
+    expect(await throttle.check('someone-else', '10.0.0.1')).toMatchObject({ status: 429, reason: 'locked' });
+    expect(await throttle.check('someone-else', '10.0.0.2')).toBeNull();
+  });
+
+  test('starts over once the lockout is served', async () => {
+    for (let i = 0; i < 5; i++) {
+      await failAndWait('alice', '10.0.0.1');
+    }
+
+    jest.advanceTimersByTime(15 * MINUTE);
+
+    expect(await throttle.check('alice', '10.0.0.1')).toBeNull();
+    expect((await throttle.recordFailure('alice', '10.0.0.1')).failures).toBe(1);
+  });
+
+  test('forgets failures outside the window', async () => {
+    for (let i = 0; i < 4; i++) {
+      await failAndWait('alice', '10.0.0.1');
+    }
+
+    jest.advanceTimersByTime(16 * MINUTE);
+
+    expect((await throttle.recordFailure('alice', '10.0.0.1')).failures).toBe(1);
+  });
+});
+
+describe('recordSuccess', () => {
+  test('resets the username counter but not the IP counter', async () => {
+    for (let i = 0; i < 4; i++) {
+      await failAndWait('alice', '10.0.0.1');
+    }
+
+    await throttle.recordSuccess('alice');
+
+    const result = await throttle.recordFailure('alice', '10.0.0.1');
+    expect(result.failures).toBe(1);
+    expect(await throttle.store.get('ip:10.0.0.1')).toMatchObject({ failures: 5 });
+  });
+});
@@ -0,0 +1,58 @@
+const mailer = require('../src/services/mailer');
+const { MemoryTransport } = mailer;
+
+const user = { id: 1, username: 'alice', email: 'alice@example.com' };
+let transport;
+let originalTransport;
+
+beforeEach(() => {
+  originalTransport = mailer.transport;
+  transport = new MemoryTransport();
+  mailer.setTransport(transport);
+});
+
+afterEach(() => {
+  mailer.setTransport(originalTransport);
+  delete process.env.EMAIL_VERIFICATION_URL;
+  jest.restoreAllMocks();
+});
+
+describe('verification mail', () => {
+  test('links to the verification URL with the token encoded', async () => {
+    process.env.EMAIL_VERIFICATION_URL = 'https://app.example.com/verify';
+
+    await mailer.sendEmailVerification(user, 'a+b/c=', 24);
+
+    expect(transport.outbox).toHaveLength(1);
+    const [message] = transport.outbox;
+    expect(message.to).toBe('alice@example.com');
+    expect(message.subject).toBe('WarpBean 邮箱验证');
+    expect(message.text).toContain('https://app.example.com/verify?token=a%2Bb%2Fc%3D');
+  });
+
+  test('falls back to the app link when no URL is configured', async () => {
+    await mailer.sendEmailVerification(user, 'token', 24);
+
+    expect(transport.outbox[0].text).toContain('warpbean://verify-email?token=token');
+  });
+});
+
+describe('password reset mail', () => {
+  test('contains the reset code', async () => {
+    await mailer.sendPasswordReset(user, '123456', 15);
+
+    const [message] = transport.outbox;
+    expect(message.to).toBe('alice@example.com');
+    expect(message.subject).toBe('WarpBean 密码重置验证码');
+    expect(message.text).toContain('123456');
+  });
+});
+
+describe('transport failures', () => {
+  test('are reported without the transport details', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    mailer.setTransport({ send: async () => { throw new Error('SMTP 535 bad credentials'); } });
+
+    await expect(mailer.sendPasswordReset(user, '123456', 15)).rejects.toThrow('Failed to send mail');
+  });
+});
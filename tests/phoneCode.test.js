@@ -0,0 +1,91 @@
+const express = require('express');
+const request = require('supertest');
+const User = require('../src/models/User');
+const PhoneOtp = require('../src/models/PhoneOtp');
+const smsService = require('../src/services/smsService');
+const authRoutes = require('../src/routes/auth');
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+
+const REGISTERED = '+8613800138000';
+const UNREGISTERED = '+8613900139000';
+
+// In-memory phone_otps table behind the model's methods
+let otps;
+let provider;
+let originalProvider;
+
+const sendCode = (phone) => request(app).post('/api/auth/phone/send-code').send({ phone });
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  otps = [];
+  originalProvider = smsService.provider;
+  provider = new smsService.MemorySmsProvider();
+  smsService.setProvider(provider);
+
+  jest.spyOn(User, 'findByPhone').mockImplementation(async (phone) => (
+    phone === REGISTERED ? new User({ id: 1, username: 'alice', phone, role: 'user' }) : null
+  ));
+  jest.spyOn(PhoneOtp, 'create').mockImplementation(async (data) => {
+    const otp = new PhoneOtp({ id: otps.length + 1, created_at: new Date(), ...data });
+    otps.push(otp);
+    return otp;
+  });
+  jest.spyOn(PhoneOtp, 'findLatestByPhone').mockImplementation(async (phone) => (
+    otps.filter(otp => otp.phone === phone).pop() || null
+  ));
+  jest.spyOn(PhoneOtp, 'countSince').mockImplementation(async (phone, since) => (
+    otps.filter(otp => otp.phone === phone && otp.created_at >= since).length
+  ));
+});
+
+afterEach(() => {
+  smsService.setProvider(originalProvider);
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+// Status codes of requesting a code every `intervalSeconds`, `times` times
+const requestRepeatedly = async (phone, times, intervalSeconds) => {
+  const statuses = [];
+  for (let i = 0; i < times; i++) {
+    statuses.push((await sendCode(phone)).status);
+    jest.advanceTimersByTime(intervalSeconds * 1000);
+  }
+  return statuses;
+};
+
+describe('POST /api/auth/phone/send-code', () => {
+  test('texts registered numbers only', async () => {
+    await sendCode(REGISTERED);
+    await sendCode(UNREGISTERED);
+
+    expect(provider.outbox.map(message => message.to)).toEqual([REGISTERED]);
+  });
+
+  test('answers a quick second request the same way whether or not the number is registered', async () => {
+    const registered = await requestRepeatedly(REGISTERED, 2, 10);
+    const unregistered = await requestRepeatedly(UNREGISTERED, 2, 10);
+
+    expect(registered).toEqual([200, 429]);
+    expect(unregistered).toEqual(registered);
+  });
+
+  test('applies the hourly cap to unregistered numbers too', async () => {
+    const registered = await requestRepeatedly(REGISTERED, 6, 61);
+    const unregistered = await requestRepeatedly(UNREGISTERED, 6, 61);
+
+    expect(registered).toEqual([200, 200, 200, 200, 200, 429]);
+    expect(unregistered).toEqual(registered);
+  });
+
+  test('never gives unregistered numbers a usable code', async () => {
+    await sendCode(UNREGISTERED);
+
+    expect(otps).toHaveLength(1);
+    expect(otps[0].user_id).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+const RefreshToken = require('../src/models/RefreshToken');
+const UserSession = require('../src/models/UserSession');
+const User = require('../src/models/User');
+const { issueTokens, refreshToken, hashToken } = require('../src/middleware/auth');
+
+// In-memory refresh_tokens table behind the model's methods
+const tokens = new Map();
+let nextId = 1;
+
+const revoke = (record, reason) => {
+  record.revoked_at = new Date();
+  record.revoke_reason = reason;
+};
+
+beforeEach(() => {
+  tokens.clear();
+  nextId = 1;
+
+  jest.spyOn(RefreshToken, 'create').mockImplementation(async (data) => {
+    const record = { id: nextId++, revoked_at: null, revoke_reason: null, ...data };
+    tokens.set(record.id, record);
+    return new RefreshToken(record);
+  });
+  jest.spyOn(RefreshToken, 'findByHash').mockImplementation(async (hash) => {
+    const record = [...tokens.values()].find(token => token.token_hash === hash);
+    return record ? new RefreshToken({ ...record }) : null;
+  });
+  jest.spyOn(RefreshToken, 'revokeFamily').mockImplementation(async (familyId, reason) => {
+    const live = [...tokens.values()].filter(token => token.family_id === familyId && !token.revoked_at);
+    live.forEach(token => revoke(token, reason));
+    return live.length;
+  });
+  jest.spyOn(RefreshToken.prototype, 'markRotated').mockImplementation(async function () {
+    const record = tokens.get(this.id);
+    if (record.revoked_at) {
+      return false;
+    }
+    revoke(record, 'rotated');
+    return true;
+  });
+  jest.spyOn(RefreshToken.prototype, 'setReplacedBy').mockImplementation(async function (id) {
+    tokens.get(this.id).replaced_by_id = id;
+  });
+
+  jest.spyOn(UserSession, 'revokeByFamilyId').mockImplementation(async (familyId, reason) => {
+    await RefreshToken.revokeFamily(familyId, reason);
+  });
+  jest.spyOn(UserSession, 'findByFamilyId').mockResolvedValue({ touch: async () => {} });
+  jest.spyOn(User, 'findById').mockImplementation(async (id) => new User({ id, username: 'alice', role: 'user' }));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const refresh = async (token) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+  await refreshToken({ body: { refresh_token: token }, headers: {}, ip: '127.0.0.1' }, res);
+  return res;
+};
+
+const recordFor = (token) => [...tokens.values()].find(record => record.token_hash === hashToken(token));
+
+describe('refresh token rotation', () => {
+  test('a refresh rotates the token within its family', async () => {
+    const issued = await issueTokens({ id: 1, username: 'alice', getPermissions: () => [] }, 'family-1');
+
+    const res = await refresh(issued.refresh_token);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.refresh_token).not.toBe(issued.refresh_token);
+    expect(recordFor(issued.refresh_token).revoke_reason).toBe('rotated');
+    expect(recordFor(res.body.refresh_token)).toMatchObject({ family_id: 'family-1', revoked_at: null });
+  });
+
+  test('reusing a rotated token revokes the whole family', async () => {
+    const issued = await issueTokens({ id: 1, username: 'alice', getPermissions: () => [] }, 'family-1');
+    const rotated = await refresh(issued.refresh_token);
+
+    const reuse = await refresh(issued.refresh_token);
+
+    expect(reuse.statusCode).toBe(401);
+    expect(UserSession.revokeByFamilyId).toHaveBeenCalledWith('family-1', 'reuse_detected');
+    expect(recordFor(rotated.body.refresh_token).revoke_reason).toBe('reuse_detected');
+    expect((await refresh(rotated.body.refresh_token)).statusCode).toBe(401);
+  });
+
+  test('a token revoked by logout is rejected without revoking anything else', async () => {
+    const issued = await issueTokens({ id: 1, username: 'alice', getPermissions: () => [] }, 'family-1');
+    revoke(recordFor(issued.refresh_token), 'logout');
+
+    const res = await refresh(issued.refresh_token);
+
+    expect(res.statusCode).toBe(401);
+    expect(UserSession.revokeByFamilyId).not.toHaveBeenCalled();
+  });
+
+  test('concurrent refreshes with one token: at most one wins and the family is revoked', async () => {
+    const issued = await issueTokens({ id: 1, username: 'alice', getPermissions: () => [] }, 'family-1');
+
+    const results = await Promise.all([refresh(issued.refresh_token), refresh(issued.refresh_token)]);
+
+    expect(results.map(res => res.statusCode).sort()).toEqual([200, 401]);
+    const winner = results.find(res => res.statusCode === 200);
+    expect(recordFor(winner.body.refresh_token).revoked_at).not.toBeNull();
+  });
+
+  test('a family without a session gets one on refresh, with no login time', async () => {
+    const issued = await issueTokens({ id: 1, username: 'alice', getPermissions: () => [] }, 'family-1');
+    UserSession.findByFamilyId.mockResolvedValue(null);
+    jest.spyOn(UserSession, 'create').mockImplementation(async (data) => new UserSession({ id: 1, ...data }));
+
+    const res = await refresh(issued.refresh_token);
+
+    expect(res.statusCode).toBe(200);
+    expect(UserSession.create).toHaveBeenCalledWith(expect.objectContaining({ family_id: 'family-1' }));
+    expect(UserSession.create.mock.calls[0][0].login_at).toBeUndefined();
+  });
+});
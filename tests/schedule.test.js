@@ -0,0 +1,123 @@
+const {
+  parseCron,
+  isValidCron,
+  nextCronRun,
+  cronExpressionFor,
+  validateSchedule,
+  nextRunAt
+} = require('../src/utils/schedule');
+
+const at = (iso) => new Date(iso);
+const iso = (date) => (date ? date.toISOString() : date);
+
+describe('parseCron', () => {
+  test('expands ranges, steps and lists', () => {
+    const cron = parseCron('*/20 9-11 1,15 * 1-5');
+
+    expect(cron.minutes).toEqual([0, 20, 40]);
+    expect(cron.hours).toEqual([9, 10, 11]);
+    expect([...cron.days]).toEqual([1, 15]);
+    expect(cron.months.size).toBe(12);
+    expect([...cron.weekdays]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  test('treats 7 as Sunday', () => {
+    expect([...parseCron('0 9 * * 7').weekdays]).toEqual([0]);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('0 9 * *')).toThrow('5 fields');
+    expect(() => parseCron('60 9 * * *')).toThrow('minute');
+    expect(() => parseCron('0 9 * * mon')).toThrow('day of week');
+    expect(() => parseCron('0 12-9 * * *')).toThrow('hour');
+    expect(isValidCron('0 9 * * 1-5')).toBe(true);
+    expect(isValidCron(null)).toBe(false);
+  });
+});
+
+describe('nextCronRun', () => {
+  test('finds the next matching minute', () => {
+    expect(iso(nextCronRun('*/15 * * * *', at('2026-10-19T12:07:00Z')))).toBe('2026-10-19T12:15:00.000Z');
+    expect(iso(nextCronRun('*/15 * * * *', at('2026-10-19T12:15:00Z')))).toBe('2026-10-19T12:30:00.000Z');
+  });
+
+  test('evaluates the expression in the timezone', () => {
+    // 09:00 in Shanghai has passed at 02:00Z (10:00 local), so the next run is tomorrow
+    expect(iso(nextCronRun('0 9 * * *', at('2026-10-19T02:00:00Z'), 'Asia/Shanghai'))).toBe('2026-10-20T01:00:00.000Z');
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 13th or any Friday: Friday 23 October comes first
+    expect(iso(nextCronRun('0 0 13 * 5', at('2026-10-19T00:00:00Z')))).toBe('2026-10-23T00:00:00.000Z');
+  });
+
+  test('looks years ahead for 29 February', () => {
+    expect(iso(nextCronRun('0 9 29 2 *', at('2026-10-19T00:00:00Z')))).toBe('2028-02-29T09:00:00.000Z');
+  });
+
+  test('returns null for dates that never occur', () => {
+    expect(nextCronRun('0 9 31 2 *', at('2026-10-19T00:00:00Z'))).toBeNull();
+  });
+});
+
+describe('nextRunAt', () => {
+  const daily = (time_of_day, timezone = 'America/New_York') => ({ schedule_type: 'daily', time_of_day, timezone });
+
+  test('keeps daily reminders at the same wall-clock time across DST', () => {
+    // 09:00 EST is 14:00Z; after the change 09:00 EDT is 13:00Z
+    expect(iso(nextRunAt(daily('09:00'), at('2026-03-07T14:00:00Z')))).toBe('2026-03-08T13:00:00.000Z');
+    expect(iso(nextRunAt(daily('09:00'), at('2026-10-31T13:00:00Z')))).toBe('2026-11-01T14:00:00.000Z');
+  });
+
+  test('moves a time skipped by DST forward for that day only', () => {
+    expect(iso(nextRunAt(daily('02:30'), at('2026-03-07T12:00:00Z')))).toBe('2026-03-08T07:30:00.000Z');
+    expect(iso(nextRunAt(daily('02:30'), at('2026-03-08T07:30:00Z')))).toBe('2026-03-09T06:30:00.000Z');
+  });
+
+  test('fires a repeated time once', () => {
+    const first = nextRunAt(daily('01:30'), at('2026-11-01T00:00:00Z'));
+
+    expect(iso(first)).toBe('2026-11-01T05:30:00.000Z');
+    expect(iso(nextRunAt(daily('01:30'), first))).toBe('2026-11-02T06:30:00.000Z');
+  });
+
+  test('skips weekends for weekday reminders', () => {
+    const schedule = { schedule_type: 'weekdays', time_of_day: '08:00', timezone: 'UTC' };
+
+    expect(iso(nextRunAt(schedule, at('2026-10-23T08:00:00Z')))).toBe('2026-10-26T08:00:00.000Z');
+  });
+
+  test('runs one-off reminders once', () => {
+    const schedule = { schedule_type: 'once', run_at: '2026-10-20T09:00:00Z', timezone: 'UTC' };
+
+    expect(iso(nextRunAt(schedule, at('2026-10-19T00:00:00Z')))).toBe('2026-10-20T09:00:00.000Z');
+    expect(nextRunAt(schedule, at('2026-10-20T09:00:00Z'))).toBeNull();
+  });
+});
+
+describe('cronExpressionFor', () => {
+  test('builds the expression for each schedule type', () => {
+    expect(cronExpressionFor({ schedule_type: 'daily', time_of_day: '07:05' })).toBe('5 7 * * *');
+    expect(cronExpressionFor({ schedule_type: 'weekdays', time_of_day: '18:30' })).toBe('30 18 * * 1-5');
+    expect(cronExpressionFor({ schedule_type: 'custom', cron_expression: '0 9 * * 0' })).toBe('0 9 * * 0');
+  });
+});
+
+describe('validateSchedule', () => {
+  const base = { timezone: 'Asia/Shanghai' };
+
+  test('accepts complete schedules', () => {
+    expect(validateSchedule({ ...base, schedule_type: 'once', run_at: '2026-10-20T09:00:00Z' })).toBeNull();
+    expect(validateSchedule({ ...base, schedule_type: 'daily', time_of_day: '09:00' })).toBeNull();
+    expect(validateSchedule({ ...base, schedule_type: 'custom', cron_expression: '0 9 * * 1' })).toBeNull();
+  });
+
+  test('reports what is missing or invalid', () => {
+    expect(validateSchedule({ ...base, schedule_type: 'hourly' })).toMatch('schedule_type');
+    expect(validateSchedule({ schedule_type: 'daily', time_of_day: '09:00', timezone: 'Nowhere' })).toMatch('timezone');
+    expect(validateSchedule({ ...base, schedule_type: 'once', run_at: 'tomorrow' })).toMatch('run_at');
+    expect(validateSchedule({ ...base, schedule_type: 'weekdays', time_of_day: '9:00' })).toMatch('time_of_day');
+    expect(validateSchedule({ ...base, schedule_type: 'custom', cron_expression: '0 9 * *' })).toMatch('cron_expression is invalid');
+    expect(validateSchedule({ ...base, schedule_type: 'custom', cron_expression: '0 9 30 2 *' })).toBe('cron_expression never fires');
+  });
+});
@@ -0,0 +1,3 @@
+// Unit tests never touch MySQL: models are stubbed per test
+process.env.DB_DISABLED = '1';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
@@ -0,0 +1,94 @@
+const {
+  isValidTimezone,
+  zonedParts,
+  zonedTimeToUtc,
+  parseDate,
+  localDate,
+  addDays,
+  daysBetween,
+  weekStart,
+  startOfDay
+} = require('../src/utils/timezone');
+
+describe('isValidTimezone', () => {
+  test('accepts IANA names and rejects anything else', () => {
+    expect(isValidTimezone('Asia/Shanghai')).toBe(true);
+    expect(isValidTimezone('UTC')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+    expect(isValidTimezone(null)).toBe(false);
+  });
+});
+
+describe('zonedParts', () => {
+  test('gives the wall clock in the timezone', () => {
+    expect(zonedParts(new Date('2026-10-19T18:30:00Z'), 'Asia/Shanghai'))
+      .toEqual({ year: 2026, month: 10, day: 20, hour: 2, minute: 30 });
+  });
+
+  test('uses hour 0 at midnight', () => {
+    expect(zonedParts(new Date('2026-10-19T00:00:00Z'), 'UTC').hour).toBe(0);
+  });
+});
+
+describe('zonedTimeToUtc', () => {
+  test('converts ordinary times with the current offset', () => {
+    expect(zonedTimeToUtc({ year: 2026, month: 1, day: 15, hour: 9, minute: 0 }, 'America/New_York').toISOString())
+      .toBe('2026-01-15T14:00:00.000Z');
+    expect(zonedTimeToUtc({ year: 2026, month: 7, day: 15, hour: 9, minute: 0 }, 'America/New_York').toISOString())
+      .toBe('2026-07-15T13:00:00.000Z');
+  });
+
+  test('moves times skipped by DST forward', () => {
+    // 2026-03-08 02:00 EST jumps to 03:00 EDT
+    expect(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, 'America/New_York').toISOString())
+      .toBe('2026-03-08T07:30:00.000Z');
+  });
+
+  test('gives the first occurrence of repeated times', () => {
+    // 2026-11-01 02:00 EDT falls back to 01:00 EST
+    expect(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, 'America/New_York').toISOString())
+      .toBe('2026-11-01T05:30:00.000Z');
+  });
+
+  test('handles half-hour DST changes', () => {
+    // 2026-10-04 02:00 ACST jumps to 03:00 ACDT in Adelaide
+    expect(zonedTimeToUtc({ year: 2026, month: 10, day: 4, hour: 2, minute: 15 }, 'Australia/Adelaide').toISOString())
+      .toBe('2026-10-03T16:45:00.000Z');
+  });
+});
+
+describe('calendar dates', () => {
+  test('parseDate rejects dates that do not exist', () => {
+    expect(parseDate('2028-02-29')).toEqual({ year: 2028, month: 2, day: 29 });
+    expect(parseDate('2026-02-29')).toBeNull();
+    expect(parseDate('2026-13-01')).toBeNull();
+    expect(parseDate('20261019')).toBeNull();
+  });
+
+  test('localDate uses the day in the timezone', () => {
+    const instant = new Date('2026-10-19T20:00:00Z');
+
+    expect(localDate(instant, 'UTC')).toBe('2026-10-19');
+    expect(localDate(instant, 'Asia/Shanghai')).toBe('2026-10-20');
+    expect(localDate(instant, 'Pacific/Honolulu')).toBe('2026-10-19');
+  });
+
+  test('addDays and daysBetween cross months and years', () => {
+    expect(addDays('2026-12-30', 3)).toBe('2027-01-02');
+    expect(addDays('2026-03-01', -1)).toBe('2026-02-28');
+    expect(daysBetween('2026-12-30', '2027-01-02')).toBe(3);
+    expect(daysBetween('2026-03-09', '2026-03-07')).toBe(-2);
+  });
+
+  test('weekStart gives the Monday', () => {
+    expect(weekStart('2026-10-19')).toBe('2026-10-19');
+    expect(weekStart('2026-10-25')).toBe('2026-10-19');
+    expect(weekStart('2027-01-01')).toBe('2026-12-28');
+  });
+
+  test('startOfDay is midnight in the timezone', () => {
+    expect(startOfDay('2026-10-20', 'Asia/Shanghai').toISOString()).toBe('2026-10-19T16:00:00.000Z');
+    expect(startOfDay('2026-03-08', 'America/New_York').toISOString()).toBe('2026-03-08T05:00:00.000Z');
+  });
+});
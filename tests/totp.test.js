@@ -0,0 +1,106 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri
+} = require('../src/utils/totp');
+
+// RFC 6238 appendix B: the SHA1 seed "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+
+describe('base32', () => {
+  test('encodes the RFC 6238 seed', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('round-trips generated secrets', () => {
+    const secret = generateSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  test('accepts lowercase, spaces and padding', () => {
+    expect(base32Decode('gezd gnbv gy3t qojq====').toString('ascii')).toBe('1234567890');
+  });
+
+  test('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateTotp', () => {
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('matches the RFC 6238 vector at T=%i', (seconds, expected) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000, { digits: 8 })).toBe(expected);
+  });
+
+  test('defaults to six digits', () => {
+    expect(generateTotp(RFC_SECRET, 59 * 1000)).toBe('287082');
+  });
+});
+
+describe('verifyTotp', () => {
+  const timeMs = 1111111111 * 1000;
+  const step = Math.floor(1111111111 / 30);
+
+  test('accepts the current code and returns its step', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, timeMs), { timeMs })).toBe(step);
+  });
+
+  test('allows one step of drift either way', () => {
+    const previous = generateTotp(RFC_SECRET, timeMs - 30 * 1000);
+    const next = generateTotp(RFC_SECRET, timeMs + 30 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, previous, { timeMs })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, next, { timeMs })).toBe(step + 1);
+  });
+
+  test('rejects codes outside the window', () => {
+    const stale = generateTotp(RFC_SECRET, timeMs - 60 * 1000);
+
+    expect(verifyTotp(RFC_SECRET, stale, { timeMs })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, stale, { timeMs, window: 2 })).toBe(step - 2);
+  });
+
+  test('ignores spaces in the code', () => {
+    const code = generateTotp(RFC_SECRET, timeMs);
+
+    expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { timeMs })).toBe(step);
+  });
+
+  test.each([
+    ['empty', ''],
+    ['missing', undefined],
+    ['too short', '12345'],
+    ['too long', '1234567'],
+    ['not numeric', '12a456']
+  ])('rejects a %s code', (label, code) => {
+    expect(verifyTotp(RFC_SECRET, code, { timeMs })).toBeNull();
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  test('describes the secret for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'alice@example.com', issuer: 'WarpBean' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/WarpBean:alice@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret: RFC_SECRET,
+      issuer: 'WarpBean',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30'
+    });
+  });
+});